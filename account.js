@@ -0,0 +1,108 @@
+/**
+ * Tombolos Web Map - Account
+ * Lets a signed-in team member change their email address or password. A new email address only
+ * takes effect once the confirmation link Supabase sends is followed.
+ */
+
+(function() {
+    const emailForm = document.getElementById('email-form');
+    const emailInput = document.getElementById('account-email');
+    const emailButton = document.getElementById('email-button');
+    const passwordForm = document.getElementById('password-form');
+    const passwordInput = document.getElementById('account-password');
+    const confirmInput = document.getElementById('account-confirm');
+    const passwordButton = document.getElementById('password-button');
+    const errorBox = document.getElementById('account-error');
+    const noticeBox = document.getElementById('account-notice');
+    const loading = document.getElementById('account-loading');
+
+    function showAccountError(message) {
+        errorBox.textContent = message;
+        errorBox.classList.toggle('hidden', !message);
+        if (message) showAccountNotice('');
+    }
+
+    function showAccountNotice(message) {
+        noticeBox.textContent = message;
+        noticeBox.classList.toggle('hidden', !message);
+    }
+
+    function setLoading(target, isLoading) {
+        target.classList.toggle('loading', isLoading);
+        target.disabled = isLoading;
+    }
+
+    emailForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showAccountError('');
+
+        const email = emailInput.value.trim();
+        const current = window.authManager.getUser().email;
+        if (!email || !emailInput.checkValidity()) {
+            showAccountError('Please enter a valid email address.');
+            return;
+        }
+        if (email.toLowerCase() === (current || '').toLowerCase()) {
+            showAccountError('This is already your email address.');
+            return;
+        }
+
+        setLoading(emailButton, true);
+        const result = await window.authManager.changeEmail(email);
+        setLoading(emailButton, false);
+
+        if (!result.success) {
+            showAccountError(result.error);
+            return;
+        }
+        showAccountNotice(`Confirmation sent to ${email}. Your email changes once the link in it is followed; ` +
+            'depending on the project settings the old address receives a link to confirm as well.');
+    });
+
+    passwordForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showAccountError('');
+
+        const password = passwordInput.value;
+        if (password.length < 6) {
+            showAccountError('Your password must be at least 6 characters long.');
+            return;
+        }
+        if (password !== confirmInput.value) {
+            showAccountError('The passwords do not match.');
+            return;
+        }
+
+        setLoading(passwordButton, true);
+        const result = await window.authManager.updatePassword(password);
+        setLoading(passwordButton, false);
+
+        if (!result.success) {
+            showAccountError(result.error);
+            return;
+        }
+        passwordForm.reset();
+        showAccountNotice('Your password has been changed.');
+    });
+
+    window.addEventListener('supabase-ready', () => {
+        // Follow the session: the address shown is updated once an email change is confirmed
+        window.authManager.onAuthChange((session) => {
+            loading.classList.add('hidden');
+            if (!session) {
+                window.location.href = './admin-login.html';
+                return;
+            }
+            if (document.activeElement !== emailInput) emailInput.value = session.user.email || '';
+            emailForm.classList.remove('hidden');
+            passwordForm.classList.remove('hidden');
+        });
+    });
+
+    window.addEventListener('load', () => {
+        if (window.tomboloConfig && window.tomboloConfig.dataSource === 'local') {
+            loading.classList.add('hidden');
+            showAccountError('Accounts are not available: Supabase is not configured for this deployment.');
+        }
+    });
+})();
@@ -0,0 +1,157 @@
+/**
+ * Tombolos Web Map - Team Sign In
+ * Signs team members in with AuthManager and sends them back to the map, where the tools of their
+ * role (see ROLE_PERMISSIONS in auth.js) become available. Besides the password, a sign-in link or
+ * one-time code can be emailed, and a forgotten password reset through reset-password.html.
+ */
+
+(function() {
+    const form = document.getElementById('login-form');
+    const emailInput = document.getElementById('login-email');
+    const passwordInput = document.getElementById('login-password');
+    const button = document.getElementById('login-button');
+    const errorBox = document.getElementById('login-error');
+    const noticeBox = document.getElementById('login-notice');
+    const magicLinkButton = document.getElementById('magic-link-button');
+    const otpForm = document.getElementById('otp-form');
+    const otpInput = document.getElementById('login-otp');
+    const otpButton = document.getElementById('otp-button');
+    let redirecting = false;
+
+    function showLoginError(message) {
+        errorBox.textContent = message;
+        errorBox.classList.toggle('hidden', !message);
+        if (message) showLoginNotice('');
+    }
+
+    function showLoginNotice(message) {
+        noticeBox.textContent = message;
+        noticeBox.classList.toggle('hidden', !message);
+    }
+
+    function setLoading(target, loading) {
+        target.classList.toggle('loading', loading);
+        target.disabled = loading;
+    }
+
+    // Email-only flows need just the address
+    function requireEmail() {
+        const email = emailInput.value.trim();
+        if (!email) {
+            showLoginError('Please enter your email address first.');
+            emailInput.focus();
+        }
+        return email;
+    }
+
+    function goToMap() {
+        if (redirecting) return;
+        redirecting = true;
+        window.location.href = './index.html';
+    }
+
+    document.getElementById('password-toggle').addEventListener('click', (event) => {
+        const visible = passwordInput.type === 'text';
+        passwordInput.type = visible ? 'password' : 'text';
+        event.currentTarget.setAttribute('aria-label', visible ? 'Show password' : 'Hide password');
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showLoginError('');
+
+        const email = emailInput.value.trim();
+        const password = passwordInput.value;
+        if (!email || !password) {
+            showLoginError('Please enter your email and password.');
+            return;
+        }
+
+        setLoading(button, true);
+
+        const result = await window.authManager.signIn(email, password);
+
+        if (result.success) {
+            goToMap();
+            return;
+        }
+
+        showLoginError(result.error);
+        setLoading(button, false);
+    });
+
+    magicLinkButton.addEventListener('click', async () => {
+        showLoginError('');
+        const email = requireEmail();
+        if (!email) return;
+
+        setLoading(magicLinkButton, true);
+        const result = await window.authManager.signInWithMagicLink(email);
+        setLoading(magicLinkButton, false);
+
+        if (!result.success) {
+            showLoginError(result.error);
+            return;
+        }
+        showLoginNotice(`We sent a sign-in link to ${email}. Open it on this device, or enter the code from the email below.`);
+        otpForm.classList.remove('hidden');
+        otpInput.focus();
+    });
+
+    otpForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showLoginError('');
+        const email = requireEmail();
+        const token = otpInput.value.replace(/\s+/g, '');
+        if (!email) return;
+        if (!token) {
+            showLoginError('Please enter the code from the email.');
+            return;
+        }
+
+        setLoading(otpButton, true);
+        const result = await window.authManager.verifyOtp(email, token);
+
+        if (result.success) {
+            goToMap();
+            return;
+        }
+        showLoginError(result.error);
+        setLoading(otpButton, false);
+    });
+
+    document.getElementById('forgot-password').addEventListener('click', async (event) => {
+        event.preventDefault();
+        showLoginError('');
+        if (!window.authManager) return;
+        const email = requireEmail();
+        if (!email) return;
+
+        const result = await window.authManager.sendPasswordReset(email);
+        if (!result.success) {
+            showLoginError(result.error);
+            return;
+        }
+        showLoginNotice(`If ${email} has an account, it will receive a link to choose a new password.`);
+    });
+
+    // An expired or invalid email link lands back here with the reason
+    window.addEventListener('auth-redirect', (event) => {
+        if (!event.detail.success) showLoginError(event.detail.error);
+    });
+
+    // Sign-in needs Supabase; enable the form once the auth manager exists
+    window.addEventListener('supabase-ready', () => {
+        button.disabled = false;
+        magicLinkButton.disabled = false;
+        window.authManager.onAuthChange(() => {
+            if (window.authManager.getRole()) goToMap();
+        });
+    });
+
+    window.addEventListener('load', () => {
+        if (window.tomboloConfig && window.tomboloConfig.dataSource === 'local') {
+            showLoginError('Sign-in is not available: Supabase is not configured for this deployment.');
+        }
+    });
+})();
@@ -0,0 +1,109 @@
+/**
+ * Tombolos Web Map - User Roles
+ * Admin screen listing users with their role, where a role can be assigned to each of them.
+ * Roles are stored server-side through the database functions used by AuthManager.setUserRole.
+ */
+
+(function() {
+    const table = document.getElementById('roles-table');
+    const errorBox = document.getElementById('roles-error');
+    const loading = document.getElementById('roles-loading');
+
+    function showRolesError(message) {
+        errorBox.textContent = message;
+        errorBox.classList.toggle('hidden', !message);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Which role may do what, straight from ROLE_PERMISSIONS
+    function renderPermissionMatrix() {
+        const labels = {
+            viewRestrictedFields: 'View restricted fields',
+            suggestEdits: 'Suggest edits',
+            approveEdits: 'Edit and approve edits',
+            deleteTombolos: 'Delete tombolos',
+            importData: 'Import data',
+            manageUsers: 'Manage users'
+        };
+        document.getElementById('permissions-table').innerHTML = `
+            <thead>
+                <tr><th></th>${USER_ROLES.map(role => `<th>${role}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${Object.keys(ROLE_PERMISSIONS).map(action => `
+                    <tr>
+                        <th>${labels[action] || action}</th>
+                        ${USER_ROLES.map(role => `<td>${ROLE_PERMISSIONS[action].includes(role) ? '✓' : ''}</td>`).join('')}
+                    </tr>`).join('')}
+            </tbody>
+        `;
+    }
+
+    async function loadUsers() {
+        loading.textContent = 'Loading users...';
+        const result = await window.authManager.listUserRoles();
+        loading.classList.add('hidden');
+
+        if (!result.success) {
+            showRolesError(result.error);
+            return;
+        }
+
+        const currentUser = window.authManager.getUser();
+        const body = table.querySelector('tbody');
+        body.innerHTML = result.users.map(user => `
+            <tr>
+                <td>${escapeHtml(user.email || user.id)}</td>
+                <td>
+                    <select class="filter-select" data-user-id="${escapeHtml(user.id)}"${user.id === currentUser.id ? ' disabled title="You cannot change your own role"' : ''}>
+                        ${USER_ROLES.map(role => `<option value="${role}"${(user.role || 'viewer') === role ? ' selected' : ''}>${role}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>`).join('');
+        table.classList.remove('hidden');
+
+        body.querySelectorAll('select').forEach(select => {
+            let previous = select.value;
+            select.addEventListener('change', async () => {
+                showRolesError('');
+                select.disabled = true;
+                const update = await window.authManager.setUserRole(select.dataset.userId, select.value);
+                select.disabled = false;
+                if (update.success) {
+                    previous = select.value;
+                } else {
+                    showRolesError(update.error);
+                    select.value = previous;
+                }
+            });
+        });
+    }
+
+    renderPermissionMatrix();
+
+    window.addEventListener('supabase-ready', () => {
+        let checked = false;
+        // The first notification carries the restored session
+        window.authManager.onAuthChange(() => {
+            if (checked) return;
+            checked = true;
+            if (!window.authManager.hasPermission('manageUsers')) {
+                window.authManager.requireAdmin();
+                return;
+            }
+            loadUsers();
+        });
+    });
+
+    window.addEventListener('load', () => {
+        if (window.tomboloConfig && window.tomboloConfig.dataSource === 'local') {
+            loading.classList.add('hidden');
+            showRolesError('User management is not available: Supabase is not configured for this deployment.');
+        }
+    });
+})();
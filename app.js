@@ -3,12 +3,81 @@
  * Handles map visualization, filtering, and user interactions for tombolos data
  */
 
+// Filter keys mapped to their <select> element IDs
+const FILTER_SELECT_IDS = {
+    prefecture: 'prefecture-filter',
+    island: 'island-filter',
+    type: 'type-filter',
+    category: 'category-filter',
+    submerged: 'submerged-filter',
+    subRcp26: 'rcp26-filter',
+    subRcp85: 'rcp85-filter'
+};
+
+// Display labels of the categorical filters
+const FILTER_LABELS = {
+    prefecture: 'Prefecture',
+    island: 'Island',
+    type: 'Type',
+    category: 'Category',
+    submerged: 'Submerged',
+    subRcp26: 'RCP 2.6',
+    subRcp85: 'RCP 8.5'
+};
+
+// Export formats: serializer (export.js), file extension and MIME type
+const EXPORT_FORMATS = {
+    csv: { serialize: tombolosToCSV, extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    geojson: { serialize: tombolosToGeoJSON, extension: 'geojson', mimeType: 'application/geo+json' },
+    kml: { serialize: tombolosToKML, extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' }
+};
+
+// Columns loaded for the markers, the facets and the statistics (every filter column included)
+const TOMBOLO_MAP_COLUMNS = 'id, latitude, longitude, name_en, prefecture_en, island_en, tombolo_type, tombolo_category, ' +
+    'submerged, sub_rcp26, sub_rcp85, length_m, height_m, width_tombolo_m, elevation, elevation_rcp26, elevation_rcp85';
+
+// Columns of the name search index
+const TOMBOLO_SEARCH_COLUMNS = 'id, latitude, longitude, name_en, name_gr, island_en, prefecture_en';
+
+// Numeric range filters (see TOMBOLO_RANGE_COLUMNS) and their labels
+const RANGE_FILTER_LABELS = {
+    length_m: 'Length (m)',
+    height_m: 'Height (m)',
+    width_tombolo_m: 'Width - Tombolo (m)',
+    elevation: 'Elevation (m)',
+    elevation_rcp26: 'Elevation RCP 2.6 (m)',
+    elevation_rcp85: 'Elevation RCP 8.5 (m)'
+};
+
 class TomboloMapApp {
     constructor() {
         this.map = null;
+        this.dataSource = null;
         this.tomboloLayer = null;
         this.markerCluster = null;
+        this.markerRenderer = null;
+        this.markers = new Map();
         this.currentData = [];
+        this.activeFilters = {};
+        this.matchCount = 0;
+        this.loadingMode = 'all';
+        this.loadedBounds = null;
+        this.pendingLoad = null;
+        this.viewportReloadTimer = null;
+        this.baseMaps = null;
+        this.activeBasemap = 'OpenStreetMap';
+        this.openTomboloId = null;
+        this.isRestoringState = false;
+        this.preserveView = false;
+        this.urlUpdateTimer = null;
+        this.search = null;
+        this.editor = null;
+        this.importer = null;
+        this.sessionMonitor = null;
+        this.proximityTool = null;
+        this.scenarioExplorer = null;
+        this.styler = null;
+        this.resultsTable = null;
         this.filterOptions = {};
         this.isLoading = false;
         this.filterDebounceTimer = null;
@@ -19,6 +88,7 @@ class TomboloMapApp {
         this.popupTemplate = null;
         this.filterOptionsCache = null;
         this.filterOptionsCacheTimestamp = null;
+        this.facetEnginePromise = null;
         this.FILTER_CACHE_TTL = 5 * 60 * 1000;
         
         this.init();
@@ -26,12 +96,116 @@ class TomboloMapApp {
     
     async init() {
         this.cacheModalElements();
+        this.dataSource = createDataSource();
+        this.loadingMode = (window.tomboloConfig && window.tomboloConfig.loadingMode) || 'all';
         this.initMap();
         this.initEventListeners();
+        this.initOfflineSupport();
+        if (typeof ResultsTable !== 'undefined') this.resultsTable = new ResultsTable(this);
+        if (typeof TomboloImport !== 'undefined') this.importer = new TomboloImport(this);
+        if (typeof TomboloEditor !== 'undefined') this.editor = new TomboloEditor(this);
+        if (typeof SessionMonitor !== 'undefined') this.sessionMonitor = new SessionMonitor(this);
         await this.checkDatabaseConnection();
-        await this.loadFilterOptions();
-        await this.loadStats({});
-        await this.loadTomboloData();
+        await this.restoreUrlState(readUrlState(), true);
+        this.updateUrl(false);
+        if (this.dataSource && this.dataSource.sync) this.dataSource.sync();
+    }
+    
+    // Apply a state decoded from the URL (on startup and on browser back/forward)
+    async restoreUrlState(state, initial = false) {
+        this.isRestoringState = true;
+        
+        try {
+            if (state.basemap && state.basemap !== this.activeBasemap && this.baseMaps[state.basemap]) {
+                this.map.removeLayer(this.baseMaps[this.activeBasemap]);
+                this.baseMaps[state.basemap].addTo(this.map);
+                this.activeBasemap = state.basemap;
+            }
+            
+            if (state.view) {
+                this.preserveView = true;
+                this.map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+            }
+            
+            const filtersChanged = JSON.stringify(state.filters) !== JSON.stringify(this.activeFilters);
+            if (initial || filtersChanged) {
+                await this.loadFilterOptions(state.filters);
+                await this.applyFilters();
+            }
+            
+            if (state.tomboloId) {
+                await this.showTomboloDetails(state.tomboloId);
+            } else if (this.openTomboloId) {
+                this.closeModal();
+            }
+        } finally {
+            this.isRestoringState = false;
+            this.preserveView = false;
+        }
+    }
+    
+    // Mirror the current state in the URL; `push` adds a history entry, otherwise the current one is replaced
+    updateUrl(push = false) {
+        if (this.isRestoringState || !this.map) return;
+        
+        const center = this.map.getCenter();
+        const query = buildUrlState({
+            filters: this.activeFilters,
+            view: { lat: center.lat, lng: center.lng, zoom: this.map.getZoom() },
+            basemap: this.activeBasemap,
+            tomboloId: this.openTomboloId
+        });
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        
+        if (push) {
+            const current = readUrlState();
+            const next = readUrlState(query);
+            // Map moves alone never create history entries
+            if (JSON.stringify(current.filters) === JSON.stringify(next.filters) && current.tomboloId === next.tomboloId) {
+                window.history.replaceState(null, '', url);
+                return;
+            }
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+    
+    initOfflineSupport() {
+        if (!this.dataSource || typeof this.dataSource.onStatusChange !== 'function') return;
+        
+        this.dataSource.onStatusChange(status => this.updateOfflineIndicator(status));
+        
+        window.addEventListener('offline', async () => {
+            const lastSync = await this.dataSource.getLastSync();
+            this.updateOfflineIndicator({ offline: true, lastSync });
+        });
+        
+        window.addEventListener('online', async () => {
+            console.log('🌐 Connection restored, syncing offline cache...');
+            await this.dataSource.sync();
+            if (this.handleFilterChange) await this.handleFilterChange();
+        });
+        
+        if (this.dataSource.isOffline) {
+            this.dataSource.getLastSync().then(lastSync => this.updateOfflineIndicator({ offline: true, lastSync }));
+        }
+    }
+    
+    updateOfflineIndicator({ offline, lastSync }) {
+        const indicator = document.getElementById('offline-indicator');
+        if (!indicator) return;
+        
+        if (!offline) {
+            indicator.classList.add('hidden');
+            return;
+        }
+        
+        const asOf = lastSync
+            ? lastSync.toLocaleString(undefined, { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+            : 'unknown date';
+        indicator.textContent = `Offline · data as of ${asOf}`;
+        indicator.classList.remove('hidden');
     }
     
     initMap() {
@@ -49,27 +223,43 @@ class TomboloMapApp {
         const baseMaps = {
             "OpenStreetMap": L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
                 attribution: '© OpenStreetMap contributors',
-                maxZoom: 19
+                maxZoom: 19,
+                crossOrigin: true
             }),
             "OpenTopoMap": L.tileLayer('https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png', {
                 attribution: '© OpenTopoMap contributors',
-                maxZoom: 17
+                maxZoom: 17,
+                crossOrigin: true
             }),
             "Satellite (ESRI)": L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
                 attribution: '© Esri',
-                maxZoom: 19
+                maxZoom: 19,
+                crossOrigin: true
             }),
             "CartoDB Positron": L.tileLayer('https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png', {
                 attribution: '© OpenStreetMap, © CartoDB',
-                maxZoom: 19
+                maxZoom: 19,
+                crossOrigin: true
             }),
             "CartoDB Dark": L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
                 attribution: '© OpenStreetMap, © CartoDB',
-                maxZoom: 19
+                maxZoom: 19,
+                crossOrigin: true
             })
         };
         
-        baseMaps["OpenStreetMap"].addTo(this.map);
+        this.baseMaps = baseMaps;
+        baseMaps[this.activeBasemap].addTo(this.map);
+        
+        this.map.on('baselayerchange', (e) => {
+            this.activeBasemap = e.name;
+            this.updateUrl(false);
+        });
+        
+        this.map.on('moveend', () => {
+            clearTimeout(this.urlUpdateTimer);
+            this.urlUpdateTimer = setTimeout(() => this.updateUrl(false), 250);
+        });
         
         L.control.layers(baseMaps, null, {
             position: 'topright',
@@ -86,9 +276,25 @@ class TomboloMapApp {
         this.addNorthArrow();
 
         if (typeof MeasurementTool !== 'undefined') {
-            this.measurementTool = new MeasurementTool(this.map);
+            this.measurementTool = new MeasurementTool(this.map, this);
+        }
+        if (typeof ProximityTool !== 'undefined') {
+            this.proximityTool = new ProximityTool(this);
+        }
+        if (typeof ScenarioExplorer !== 'undefined') {
+            this.scenarioExplorer = new ScenarioExplorer(this);
+        }
+        if (typeof ThematicStyler !== 'undefined') {
+            this.styler = new ThematicStyler(this);
         }
         
+        // One canvas for all tombolo markers; its hit tolerance enlarges the click / touch target
+        this.markerRenderer = L.canvas({
+            pane: 'markerPane',
+            padding: 0.5,
+            tolerance: L.Browser.mobile ? 10 : 5
+        });
+        
         this.markerCluster = L.markerClusterGroup({
             chunkedLoading: true,
             spiderfyOnMaxZoom: false,
@@ -99,17 +305,34 @@ class TomboloMapApp {
             animate: false,
             animateAddingMarkers: false,
             removeOutsideVisibleBounds: false,
-            iconCreateFunction: function(cluster) {
-                const count = cluster.getChildCount();
-                return new L.DivIcon({
-                    html: '<div style="background: #000; color: #fff; border: 2px solid #fff; box-shadow: 0 2px 5px rgba(0,0,0,0.3); border-radius: 50%; width: 36px; height: 36px; display: flex; align-items: center; justify-content: center; font-size: 14px; font-weight: 600; font-family: Inter, sans-serif;">' + count + '</div>',
-                    className: 'minimal-cluster',
-                    iconSize: new L.Point(36, 36)
-                });
-            }
+            iconCreateFunction: (cluster) => this.createClusterIcon(cluster)
+        });
+        
+        // Breakdown of the cluster's composition on hover
+        this.markerCluster.on('clustermouseover', (e) => {
+            e.layer.bindTooltip(this.clusterTooltip(e.layer), {
+                direction: 'top',
+                offset: [0, -18],
+                opacity: 0.9,
+                className: 'minimal-tooltip'
+            }).openTooltip();
         });
+        this.markerCluster.on('clustermouseout', (e) => e.layer.unbindTooltip());
         
         this.map.addLayer(this.markerCluster);
+        
+        if (this.loadingMode === 'viewport') {
+            this.map.on('moveend', () => {
+                clearTimeout(this.viewportReloadTimer);
+                this.viewportReloadTimer = setTimeout(() => {
+                    if (this.loadedBounds && this.loadedBounds.contains(this.map.getBounds())) return;
+                    // Options, statistics and markers all follow the records of the new area
+                    this.loadFilterOptions(this.activeFilters);
+                    this.loadTomboloData(this.activeFilters);
+                    this.loadStats(this.activeFilters);
+                }, 300);
+            });
+        }
     }
     
     initEventListeners() {
@@ -129,21 +352,23 @@ class TomboloMapApp {
             });
         }
         
+        // Name search
+        const searchInput = document.getElementById('tombolo-search');
+        const searchResults = document.getElementById('search-results');
+        if (searchInput && searchResults && typeof TomboloSearch !== 'undefined') {
+            this.search = new TomboloSearch(searchInput, searchResults, tombolo => this.flyToTombolo(tombolo));
+            // In viewport mode the loaded records cover only the map area, so the names are indexed on first use
+            if (this.loadingMode === 'viewport') {
+                searchInput.addEventListener('focus', () => this.loadSearchIndex(), { once: true });
+            }
+        }
+        
         // Filter change handler
         const handleFilterChange = async () => {
             if (this.isUpdatingFilters) return;
             this.isUpdatingFilters = true;
 
-            const selectedFilters = {
-                prefecture: document.getElementById('prefecture-filter').value,
-            island: document.getElementById('island-filter').value,
-                island: document.getElementById('island-filter').value,
-                type: document.getElementById('type-filter').value,
-                category: document.getElementById('category-filter').value,
-                submerged: document.getElementById('submerged-filter').value,
-                subRcp26: document.getElementById('rcp26-filter').value,
-                subRcp85: document.getElementById('rcp85-filter').value
-            };
+            const selectedFilters = this.getSelectedFilters();
             
             try {
                 await this.loadFilterOptions(selectedFilters);
@@ -156,18 +381,18 @@ class TomboloMapApp {
         this.handleFilterChange = handleFilterChange;
         
         // Attach filter listeners
-        document.getElementById('prefecture-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('island-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('type-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('category-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('submerged-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('rcp26-filter').addEventListener('change', handleFilterChange);
-        document.getElementById('rcp85-filter').addEventListener('change', handleFilterChange);
+        Object.values(FILTER_SELECT_IDS).forEach(id => {
+            document.getElementById(id).addEventListener('change', handleFilterChange);
+        });
         
         document.getElementById('clear-filters').addEventListener('click', () => {
             this.clearFilters();
         });
         
+        document.querySelectorAll('.export-btn').forEach(button => {
+            button.addEventListener('click', () => this.exportResults(button.dataset.format));
+        });
+        
         // Modal controls
         const modal = document.getElementById('flood-modal');
         const closeBtn = document.querySelector('.close');
@@ -196,8 +421,12 @@ class TomboloMapApp {
             if (welcomeModal) welcomeModal.classList.remove('active');
         };
 
+        // Browser back/forward steps through filter and selection changes
+        window.addEventListener('popstate', () => this.restoreUrlState(readUrlState()));
+
         if (welcomeModal) {
-            setTimeout(() => welcomeModal.classList.add('active'), 300);
+            // Links to a specific tombolo open straight onto its details
+            if (!readUrlState().tomboloId) setTimeout(() => welcomeModal.classList.add('active'), 300);
             if (closeWelcome) closeWelcome.addEventListener('click', closeWelcomeModal);
             if (enterWebGIS) enterWebGIS.addEventListener('click', closeWelcomeModal);
             welcomeModal.addEventListener('click', (event) => {
@@ -227,23 +456,27 @@ class TomboloMapApp {
         // Mobile controls
         const mobileFiltersToggle = document.getElementById('mobile-filters-toggle');
         const mobileStatsToggle = document.getElementById('mobile-stats-toggle');
+        const mobileResultsToggle = document.getElementById('mobile-results-toggle');
         const sidebar = document.getElementById('sidebar');
         const mobileClose = document.getElementById('mobile-sidebar-close');
+        
+        const showMobileTab = (tab) => {
+            sidebar.classList.toggle('active');
+            document.querySelectorAll('.tab-content').forEach(content => {
+                content.classList.toggle('active', content.id === `${tab}-tab`);
+            });
+        };
 
         if (mobileFiltersToggle && sidebar) {
-            mobileFiltersToggle.addEventListener('click', () => {
-                sidebar.classList.toggle('active');
-                document.getElementById('filters-tab').classList.add('active');
-                document.getElementById('stats-tab').classList.remove('active');
-            });
+            mobileFiltersToggle.addEventListener('click', () => showMobileTab('filters'));
         }
 
         if (mobileStatsToggle && sidebar) {
-            mobileStatsToggle.addEventListener('click', () => {
-                sidebar.classList.toggle('active');
-                document.getElementById('stats-tab').classList.add('active');
-                document.getElementById('filters-tab').classList.remove('active');
-            });
+            mobileStatsToggle.addEventListener('click', () => showMobileTab('stats'));
+        }
+
+        if (mobileResultsToggle && sidebar) {
+            mobileResultsToggle.addEventListener('click', () => showMobileTab('results'));
         }
 
         if (mobileClose && sidebar) {
@@ -252,115 +485,72 @@ class TomboloMapApp {
     }
 
     async loadFilterOptions(selectedFilters = {}) {
-        if (!window.supabaseClient) {
+        if (!this.dataSource) {
             console.error('❌ Database connection not initialized.');
             this.showError('Database connection not initialized.');
             return;
         }
         
         try {
-            this.showFilterLoading(true);
-            
-            // Prefecture query
-            let prefQuery = window.supabaseClient.from('tombolos').select('prefecture_en').not('prefecture_en', 'is', null);
-            if (selectedFilters.island) prefQuery = prefQuery.eq('island_en', selectedFilters.island);
-            if (selectedFilters.type) prefQuery = prefQuery.eq('tombolo_type', selectedFilters.type);
-            if (selectedFilters.category) prefQuery = prefQuery.eq('tombolo_category', selectedFilters.category);
-            if (selectedFilters.submerged) prefQuery = prefQuery.eq('submerged', selectedFilters.submerged);
-            if (selectedFilters.subRcp26) prefQuery = prefQuery.eq('sub_rcp26', selectedFilters.subRcp26);
-            if (selectedFilters.subRcp85) prefQuery = prefQuery.eq('sub_rcp85', selectedFilters.subRcp85);
-            const prefData = await this._fetchAllRecords(prefQuery);
-            const prefectures = this._getUniqueValues(prefData, 'prefecture_en');
-            
-            // Island query
-            let islandQuery = window.supabaseClient.from('tombolos').select('island_en').not('island_en', 'is', null);
-            if (selectedFilters.prefecture) islandQuery = islandQuery.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.type) islandQuery = islandQuery.eq('tombolo_type', selectedFilters.type);
-            if (selectedFilters.category) islandQuery = islandQuery.eq('tombolo_category', selectedFilters.category);
-            if (selectedFilters.submerged) islandQuery = islandQuery.eq('submerged', selectedFilters.submerged);
-            if (selectedFilters.subRcp26) islandQuery = islandQuery.eq('sub_rcp26', selectedFilters.subRcp26);
-            if (selectedFilters.subRcp85) islandQuery = islandQuery.eq('sub_rcp85', selectedFilters.subRcp85);
-            const islandData = await this._fetchAllRecords(islandQuery);
-            const islands = this._getUniqueValues(islandData, 'island_en');
-            
-            // Type query
-            let typeQuery = window.supabaseClient.from('tombolos').select('tombolo_type').not('tombolo_type', 'is', null);
-            if (selectedFilters.prefecture) typeQuery = typeQuery.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.island) typeQuery = typeQuery.eq('island_en', selectedFilters.island);
-            if (selectedFilters.category) typeQuery = typeQuery.eq('tombolo_category', selectedFilters.category);
-            if (selectedFilters.submerged) typeQuery = typeQuery.eq('submerged', selectedFilters.submerged);
-            const typeData = await this._fetchAllRecords(typeQuery);
-            const types = this._getUniqueValues(typeData, 'tombolo_type');
-            
-            // Category query
-            let catQuery = window.supabaseClient.from('tombolos').select('tombolo_category').not('tombolo_category', 'is', null);
-            if (selectedFilters.prefecture) catQuery = catQuery.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.island) catQuery = catQuery.eq('island_en', selectedFilters.island);
-            if (selectedFilters.type) catQuery = catQuery.eq('tombolo_type', selectedFilters.type);
-            if (selectedFilters.submerged) catQuery = catQuery.eq('submerged', selectedFilters.submerged);
-            const catData = await this._fetchAllRecords(catQuery);
-            const categories = this._getUniqueValues(catData, 'tombolo_category');
-            
-            // Submerged query
-            let subQuery = window.supabaseClient.from('tombolos').select('submerged').not('submerged', 'is', null);
-            if (selectedFilters.prefecture) subQuery = subQuery.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.island) subQuery = subQuery.eq('island_en', selectedFilters.island);
-            if (selectedFilters.type) subQuery = subQuery.eq('tombolo_type', selectedFilters.type);
-            if (selectedFilters.category) subQuery = subQuery.eq('tombolo_category', selectedFilters.category);
-            const subData = await this._fetchAllRecords(subQuery);
-            const submerged = this._getUniqueValues(subData, 'submerged');
-            
-            // RCP 2.6 query
-            let rcp26Query = window.supabaseClient.from('tombolos').select('sub_rcp26').not('sub_rcp26', 'is', null);
-            if (selectedFilters.prefecture) rcp26Query = rcp26Query.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.island) rcp26Query = rcp26Query.eq('island_en', selectedFilters.island);
-            const rcp26Data = await this._fetchAllRecords(rcp26Query);
-            const subRcp26 = this._getUniqueValues(rcp26Data, 'sub_rcp26');
-            
-            // RCP 8.5 query
-            let rcp85Query = window.supabaseClient.from('tombolos').select('sub_rcp85').not('sub_rcp85', 'is', null);
-            if (selectedFilters.prefecture) rcp85Query = rcp85Query.eq('prefecture_en', selectedFilters.prefecture);
-            if (selectedFilters.island) rcp85Query = rcp85Query.eq('island_en', selectedFilters.island);
-            const rcp85Data = await this._fetchAllRecords(rcp85Query);
-            const subRcp85 = this._getUniqueValues(rcp85Data, 'sub_rcp85');
-            
-            this.filterOptions = { prefectures, islands, types, categories, submerged, subRcp26, subRcp85 };
+            const engine = await this.getFacetEngine();
+            this.filterOptions = engine.compute(selectedFilters);
             this.populateFilterDropdowns(selectedFilters);
-            this.showFilterLoading(false);
-            
         } catch (error) {
             console.error('❌ Error loading filter options:', error);
-            this.showFilterLoading(false);
             this.showError('Failed to load filter options.');
         }
     }
     
-    _getUniqueValues(data, fieldName) {
-        const uniqueValues = new Set();
-        data.forEach(item => {
-            const value = item[fieldName];
-            if (value !== null && value !== undefined) {
-                const processedValue = typeof value === 'string' ? value.trim() : value;
-                if (processedValue !== '') uniqueValues.add(processedValue);
+    // Records of the loaded area (every tombolo in 'all' mode, the map view plus a margin in 'viewport'
+    // mode), faceted in memory: filter options, statistics and markers all come from this one fetch.
+    // It is fetched again after the cache TTL or once the map view leaves the loaded area.
+    async getFacetEngine() {
+        const inLoadedArea = this.loadingMode !== 'viewport' ||
+            (this.loadedBounds && this.loadedBounds.contains(this.map.getBounds()));
+        const isFresh = this.filterOptionsCache && inLoadedArea &&
+            Date.now() - this.filterOptionsCacheTimestamp < this.FILTER_CACHE_TTL;
+        if (isFresh) return this.filterOptionsCache;
+        
+        // Options, statistics and markers ask at the same time; they share one request
+        if (!this.facetEnginePromise) {
+            this.facetEnginePromise = this.loadFacetEngine().finally(() => { this.facetEnginePromise = null; });
+        }
+        return this.facetEnginePromise;
+    }
+    
+    async loadFacetEngine() {
+        this.showFilterLoading(true);
+        try {
+            const options = { columns: TOMBOLO_MAP_COLUMNS };
+            let loadedBounds = null;
+            if (this.loadingMode === 'viewport') {
+                loadedBounds = this.map.getBounds().pad(0.25);
+                options.bounds = {
+                    south: loadedBounds.getSouth(),
+                    west: loadedBounds.getWest(),
+                    north: loadedBounds.getNorth(),
+                    east: loadedBounds.getEast()
+                };
             }
-        });
-        return Array.from(uniqueValues).sort((a, b) => String(a).localeCompare(String(b)));
+            
+            const records = await this.dataSource.getTombolos({}, options);
+            this.filterOptionsCache = new FacetEngine(records);
+            this.filterOptionsCacheTimestamp = Date.now();
+            this.loadedBounds = loadedBounds;
+            if (this.search && this.loadingMode !== 'viewport') this.search.setRecords(records);
+            return this.filterOptionsCache;
+        } finally {
+            this.showFilterLoading(false);
+        }
     }
     
-    async _fetchAllRecords(query) {
-        const allRecords = [];
-        const batchSize = 1000;
-        let offset = 0;
-        
-        while (true) {
-            const { data, error } = await query.range(offset, offset + batchSize - 1);
-            if (error) throw error;
-            if (!data || data.length === 0) break;
-            allRecords.push(...data);
-            if (data.length < batchSize) break;
-            offset += batchSize;
+    // Names of every tombolo for the search box (viewport mode only; otherwise the loaded records are used)
+    async loadSearchIndex() {
+        try {
+            this.search.setRecords(await this.dataSource.getTombolos({}, { columns: TOMBOLO_SEARCH_COLUMNS }));
+        } catch (error) {
+            console.error('❌ Error loading the search index:', error);
         }
-        return allRecords;
     }
     
     populateFilterDropdowns(selectedFilters = {}) {
@@ -371,85 +561,240 @@ class TomboloMapApp {
         this.populateDropdown('submerged', this.filterOptions.submerged, selectedFilters.submerged);
         this.populateDropdown('rcp26', this.filterOptions.subRcp26, selectedFilters.subRcp26);
         this.populateDropdown('rcp85', this.filterOptions.subRcp85, selectedFilters.subRcp85);
+        this.populateRangeFilters(selectedFilters);
     }
     
-    populateDropdown(filterName, options, currentValue) {
+    // Build one dual-handle slider per numeric column, bounded by the values in the data
+    populateRangeFilters(selectedFilters = {}) {
+        const container = document.getElementById('range-filters');
+        if (!container || !this.filterOptionsCache) return;
+        
+        TOMBOLO_RANGE_COLUMNS.forEach(column => {
+            const bounds = this.filterOptionsCache.bounds(column);
+            let group = container.querySelector(`[data-column="${column}"]`);
+            
+            if (!bounds || bounds.min === bounds.max) {
+                if (group) group.remove();
+                return;
+            }
+            
+            if (!group) {
+                group = document.createElement('div');
+                group.className = 'filter-group range-filter';
+                group.dataset.column = column;
+                group.innerHTML = `
+                    <label>${RANGE_FILTER_LABELS[column]}: <span class="range-filter-value"></span></label>
+                    <div class="range-slider">
+                        <input type="range" class="range-min" aria-label="Minimum ${RANGE_FILTER_LABELS[column]}">
+                        <input type="range" class="range-max" aria-label="Maximum ${RANGE_FILTER_LABELS[column]}">
+                    </div>
+                `;
+                const minInput = group.querySelector('.range-min');
+                const maxInput = group.querySelector('.range-max');
+                
+                // Handles may not cross; the label follows while dragging and the filter applies on release
+                minInput.addEventListener('input', () => {
+                    if (Number(minInput.value) > Number(maxInput.value)) minInput.value = maxInput.value;
+                    this.updateRangeLabel(group);
+                });
+                maxInput.addEventListener('input', () => {
+                    if (Number(maxInput.value) < Number(minInput.value)) maxInput.value = minInput.value;
+                    this.updateRangeLabel(group);
+                });
+                minInput.addEventListener('change', () => this.handleFilterChange());
+                maxInput.addEventListener('change', () => this.handleFilterChange());
+                
+                container.appendChild(group);
+            }
+            
+            const step = (bounds.max - bounds.min) / 200;
+            const range = selectedFilters[column] || { min: null, max: null };
+            group.querySelectorAll('input[type="range"]').forEach(input => {
+                input.min = bounds.min;
+                input.max = bounds.max;
+                input.step = step;
+            });
+            group.querySelector('.range-min').value = range.min === null ? bounds.min : Math.max(range.min, bounds.min);
+            group.querySelector('.range-max').value = range.max === null ? bounds.max : Math.min(range.max, bounds.max);
+            this.updateRangeLabel(group);
+        });
+        
+        container.classList.toggle('hidden', container.children.length === 0);
+    }
+    
+    // Current { min, max } of a range slider; a handle resting at its end leaves that side open
+    readRangeFilter(group) {
+        const minInput = group.querySelector('.range-min');
+        const maxInput = group.querySelector('.range-max');
+        const min = Math.round(Number(minInput.value) * 100) / 100;
+        const max = Math.round(Number(maxInput.value) * 100) / 100;
+        const step = Number(minInput.step) || 0;
+        
+        return {
+            min: min - Number(minInput.min) > step / 2 ? min : null,
+            max: Number(maxInput.max) - max > step / 2 ? max : null
+        };
+    }
+    
+    updateRangeLabel(group) {
+        const range = this.readRangeFilter(group);
+        const label = group.querySelector('.range-filter-value');
+        label.textContent = range.min === null && range.max === null ? 'Any' : this.formatRange(range);
+        group.classList.toggle('has-value', range.min !== null || range.max !== null);
+    }
+    
+    resetRangeFilter(group) {
+        const minInput = group.querySelector('.range-min');
+        const maxInput = group.querySelector('.range-max');
+        minInput.value = minInput.min;
+        maxInput.value = maxInput.max;
+        this.updateRangeLabel(group);
+    }
+    
+    formatRange(range) {
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        if (range.min !== null && range.max !== null) return `${format(range.min)} – ${format(range.max)}`;
+        if (range.min !== null) return `≥ ${format(range.min)}`;
+        return `≤ ${format(range.max)}`;
+    }
+    
+    populateDropdown(filterName, options, currentValues = []) {
         const select = document.getElementById(`${filterName}-filter`);
         if (!select) return;
 
-        while (select.options.length > 1) select.remove(1);
+        while (select.options.length > 0) select.remove(0);
 
-        options.forEach(value => {
+        options.forEach(({ value, count }) => {
             const option = document.createElement('option');
+            const isSelected = currentValues.includes(value);
             option.value = value;
-            option.textContent = value;
+            option.textContent = `${value} (${count.toLocaleString()})`;
+            option.selected = isSelected;
+            option.disabled = count === 0 && !isSelected;
             select.appendChild(option);
         });
 
-        if (currentValue) {
-            select.value = currentValue;
-            select.classList.add('has-value');
-        } else {
-            select.value = '';
-            select.classList.remove('has-value');
-        }
+        select.classList.toggle('has-value', select.selectedOptions.length > 0);
 
         if (window.refreshDropdown) window.refreshDropdown(`${filterName}-filter`);
     }
     
     async loadStats(filters = {}) {
+        if (!this.dataSource) return;
+        
         try {
-            // Total count (always shows all tombolos, not filtered)
-            const { count: totalCount } = await window.supabaseClient.from('tombolos').select('*', { count: 'exact', head: true });
-            
-            // Prefectures count
-            const { data: prefData } = await window.supabaseClient.from('tombolos').select('prefecture_en').not('prefecture_en', 'is', null);
-            const prefectures = new Set(prefData.map(p => p.prefecture_en)).size;
+            const engine = await this.getFacetEngine();
+            const stats = engine.summarize(filters);
+            const isFiltered = stats.matching !== stats.total;
             
-            // Currently submerged
-            let subQuery = window.supabaseClient.from('tombolos').select('*', { count: 'exact', head: true }).eq('submerged', 'yes');
-            const { count: submergedCount } = await subQuery;
+            // In viewport mode the engine only holds the loaded area, so every figure (the total too) covers that area
+            document.getElementById('total-events-label').textContent =
+                this.loadingMode === 'viewport' ? 'Tombolos in Loaded Area' : 'Total Tombolos';
+            document.getElementById('total-events').textContent = isFiltered
+                ? `${stats.matching.toLocaleString()} of ${stats.total.toLocaleString()}`
+                : stats.total.toLocaleString();
+            document.getElementById('total-prefectures').textContent = stats.prefectures.toLocaleString();
+            document.getElementById('currently-submerged').textContent = stats.submerged.toLocaleString();
+            document.getElementById('at-risk-rcp85').textContent = stats.atRiskRcp85.toLocaleString();
             
-            // At risk RCP 8.5
-            let riskQuery = window.supabaseClient.from('tombolos').select('*', { count: 'exact', head: true }).eq('sub_rcp85', 'yes');
-            const { count: riskCount } = await riskQuery;
-            
-            document.getElementById('total-events').textContent = totalCount.toLocaleString();
-            document.getElementById('total-prefectures').textContent = prefectures.toLocaleString();
-            document.getElementById('currently-submerged').textContent = submergedCount.toLocaleString();
-            document.getElementById('at-risk-rcp85').textContent = riskCount.toLocaleString();
+            this.renderStatsBreakdowns(stats);
         } catch (error) {
             console.error('Error loading stats:', error);
         }
     }
     
+    renderStatsBreakdowns(stats) {
+        const container = document.getElementById('stats-breakdowns');
+        if (!container) return;
+        
+        const share = count => stats.matching > 0 ? Math.round((count / stats.matching) * 100) : 0;
+        const formatNumber = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        
+        const riskRows = [
+            { label: 'RCP 2.6', count: stats.atRiskRcp26 },
+            { label: 'RCP 8.5', count: stats.atRiskRcp85 }
+        ].map(row => `
+            <div class="breakdown-row">
+                <span class="breakdown-label">${row.label}</span>
+                <span class="breakdown-count">${row.count.toLocaleString()} (${share(row.count)}%)</span>
+                <span class="breakdown-bar"><span style="width: ${share(row.count)}%"></span></span>
+            </div>
+        `).join('');
+        
+        const dimensionLabels = { length_m: 'Length (m)', height_m: 'Height (m)', elevation: 'Elevation (m)' };
+        const dimensionRows = Object.keys(dimensionLabels).map(column => {
+            const d = stats.dimensions[column];
+            return `
+                <tr>
+                    <th scope="row">${dimensionLabels[column]}</th>
+                    <td>${d ? formatNumber(d.min) : '-'}</td>
+                    <td>${d ? formatNumber(d.mean) : '-'}</td>
+                    <td>${d ? formatNumber(d.max) : '-'}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const breakdown = (title, rows) => {
+            if (rows.length === 0) return '';
+            const max = rows[0].count;
+            return `
+                <div class="stats-section">
+                    <h4>${title}</h4>
+                    <div class="breakdown-list">
+                        ${rows.map(row => `
+                            <div class="breakdown-row">
+                                <span class="breakdown-label">${this.escapeHtml(String(row.value))}</span>
+                                <span class="breakdown-count">${row.count.toLocaleString()}</span>
+                                <span class="breakdown-bar"><span style="width: ${Math.round((row.count / max) * 100)}%"></span></span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        };
+        
+        container.innerHTML = `
+            <div class="stats-section">
+                <h4>Share at Risk (by year 2100)</h4>
+                ${riskRows}
+            </div>
+            <div class="stats-section">
+                <h4>Dimensions</h4>
+                <table class="stats-table">
+                    <thead><tr><th></th><th>Min</th><th>Mean</th><th>Max</th></tr></thead>
+                    <tbody>${dimensionRows}</tbody>
+                </table>
+            </div>
+            ${breakdown('By Prefecture', stats.byPrefecture)}
+            ${breakdown('By Island', stats.byIsland)}
+            ${breakdown('By Type', stats.byType)}
+            ${breakdown('By Category', stats.byCategory)}
+        `;
+    }
+    
     async loadTomboloData(filters = {}) {
-        if (this.isLoading) return;
+        if (!this.dataSource) return;
+        if (this.isLoading) {
+            // Run again with the latest filters once the current load finishes
+            this.pendingLoad = filters;
+            return;
+        }
         
         this.showLoading(true);
         this.isLoading = true;
         
         try {
-            let query = window.supabaseClient.from('tombolos')
-                .select('id, latitude, longitude, name_en, prefecture_en, island_en, tombolo_type, tombolo_category, submerged, sub_rcp26, sub_rcp85, length_m, height_m')
-                .not('latitude', 'is', null)
-                .not('longitude', 'is', null);
-
-            if (filters.prefecture) query = query.eq('prefecture_en', filters.prefecture);
-            if (filters.island) query = query.eq('island_en', filters.island);
-            if (filters.type) query = query.eq('tombolo_type', filters.type);
-            if (filters.category) query = query.eq('tombolo_category', filters.category);
-            if (filters.submerged) query = query.eq('submerged', filters.submerged);
-            if (filters.subRcp26) query = query.eq('sub_rcp26', filters.subRcp26);
-            if (filters.subRcp85) query = query.eq('sub_rcp85', filters.subRcp85);
-            
-            query = query.limit(1000);
-            
-            const { data, error } = await query;
-            if (error) throw error;
+            // Filters are applied in memory to the records of the loaded area
+            const isViewport = this.loadingMode === 'viewport';
+            const [engine, matchCount] = await Promise.all([
+                this.getFacetEngine(),
+                isViewport ? this.dataSource.countTombolos(filters) : null
+            ]);
+            const data = engine.filter(filters);
             
             console.log(`✅ Loaded ${data.length} tombolos`);
             this.currentData = data;
+            this.matchCount = matchCount === null ? data.length : matchCount;
             this.updateMap();
             this.updateVisiblePointsCount();
             
@@ -459,145 +804,338 @@ class TomboloMapApp {
         } finally {
             this.showLoading(false);
             this.isLoading = false;
+            
+            if (this.pendingLoad) {
+                const pending = this.pendingLoad;
+                this.pendingLoad = null;
+                this.loadTomboloData(pending);
+            }
         }
     }
     
-    updateMap() {
-        this.markerCluster.clearLayers();
-        
-        const markers = this.currentData.map(tombolo => {
-            const marker = L.circleMarker([tombolo.latitude, tombolo.longitude], {
-                radius: 10,
-                fillColor: this.getMarkerColor(tombolo),
-                color: '#000000',
-                weight: 2,
-                opacity: 1,
-                fillOpacity: 0.95,
-                renderer: L.svg(),
-                bubblingMouseEvents: false,
-                pane: 'markerPane'
-            });
-            
-            const clickArea = L.circleMarker([tombolo.latitude, tombolo.longitude], {
-                radius: 16,
-                fillColor: 'transparent',
-                color: 'transparent',
-                weight: 0,
-                fillOpacity: 0,
-                interactive: true,
-                bubblingMouseEvents: false
-            });
-            
-            marker.on('click', (e) => {
-                L.DomEvent.stopPropagation(e);
-                this.showTomboloDetails(tombolo.id);
-            });
-            
-            clickArea.on('click', (e) => {
-                L.DomEvent.stopPropagation(e);
-                this.showTomboloDetails(tombolo.id);
-            });
-            
-            const tooltipContent = `
-                <div style="font-size: 12px; padding: 6px; line-height: 1.4;">
-                    <strong style="font-size: 13px;">${this.escapeHtml(tombolo.name_en || 'Unknown')}</strong><br>
-                    <span style="color: #666;">Island:</span> <strong>${this.escapeHtml(tombolo.island_en || 'N/A')}</strong><br>
-                    <span style="color: #666;">Type:</span> ${tombolo.tombolo_type || 'N/A'}<br>
-                    <span style="color: #666;">Status:</span> ${tombolo.submerged === 'yes' ? '🌊 Submerged' : '✓ Not Submerged'}
-                </div>
-            `;
-            
-            marker.bindTooltip(tooltipContent, {
-                direction: 'top',
-                offset: [0, -10],
-                opacity: 0.9,
-                className: 'minimal-tooltip'
-            });
+    // Reload options, markers and statistics after an admin changed the data, keeping the current view
+    async refreshAfterEdit() {
+        this.filterOptionsCache = null;
+        this.tomboloDetailsCache.clear();
+        this.preserveView = true;
+        try {
+            await this.loadFilterOptions(this.activeFilters);
+            await Promise.all([
+                this.loadTomboloData(this.activeFilters),
+                this.loadStats(this.activeFilters)
+            ]);
+        } finally {
+            this.preserveView = false;
+        }
+    }
+    
+    // Download the tombolos matching the active filters, with every detail field
+    async exportResults(format) {
+        const exporter = EXPORT_FORMATS[format];
+        if (!exporter || !this.dataSource) return;
+        
+        const buttons = document.querySelectorAll('.export-btn');
+        buttons.forEach(button => { button.disabled = true; });
+        
+        try {
+            const filters = this.activeFilters;
+            const records = await this.dataSource.getTombolos(filters);
+            if (records.length === 0) {
+                this.showError('No tombolos match the current filters.');
+                return;
+            }
             
-            clickArea.on('mouseover', () => {
-                marker.setStyle({ weight: 3, fillOpacity: 1 });
-                marker.openTooltip();
-            });
-            clickArea.on('mouseout', () => {
-                marker.setStyle({ weight: 2, fillOpacity: 0.95 });
-                marker.closeTooltip();
+            const visible = records.map(record => {
+                const copy = { ...record };
+                Object.keys(copy).forEach(key => { if (this.isRestrictedField(key)) delete copy[key]; });
+                return copy;
             });
-            marker.on('mouseover', () => marker.setStyle({ weight: 3, fillOpacity: 1 }));
-            marker.on('mouseout', () => marker.setStyle({ weight: 2, fillOpacity: 0.95 }));
-            
-            return L.layerGroup([marker, clickArea]);
+            const content = exporter.serialize(visible, this.describeFilters(filters));
+            // Greek filter values are spelled like the search keys (transliterateGreek) in the file name
+            const transliterate = typeof transliterateGreek === 'function' ? transliterateGreek : undefined;
+            downloadFile(content, exportFileName(filters, exporter.extension, transliterate), exporter.mimeType);
+        } catch (error) {
+            console.error('❌ Error exporting tombolos:', error);
+            this.showError('Failed to export tombolos.');
+        } finally {
+            buttons.forEach(button => { button.disabled = false; });
+        }
+    }
+    
+    // Is a column hidden from the current user (RESTRICTED_FIELDS in config.js)?
+    isRestrictedField(key) {
+        const restricted = (window.tomboloConfig && window.tomboloConfig.restrictedFields) || [];
+        if (!restricted.includes(key)) return false;
+        return !(window.authManager && window.authManager.hasPermission('viewRestrictedFields'));
+    }
+    
+    // Human-readable summary of the filters, e.g. "Prefecture: Cyclades, Dodecanese; Length (m): 50 – 200"
+    describeFilters(filters) {
+        return Object.keys(filters).map(key => {
+            if (RANGE_FILTER_LABELS[key]) return `${RANGE_FILTER_LABELS[key]}: ${this.formatRange(filters[key])}`;
+            return `${FILTER_LABELS[key] || key}: ${filters[key].join(', ')}`;
+        }).join('; ');
+    }
+    
+    updateMap() {
+        // Classes of the "Style by" legend follow the current results
+        if (this.styler) this.styler.update(this.currentData);
+        
+        // Markers are kept per tombolo id: only the changes are removed / added, the rest is restyled in place
+        const current = new Map(this.currentData.map(tombolo => [String(tombolo.id), tombolo]));
+        const removed = [];
+        this.markers.forEach((marker, id) => {
+            const tombolo = current.get(id);
+            const moved = tombolo && !marker.getLatLng().equals([tombolo.latitude, tombolo.longitude]);
+            if (!tombolo || moved) {
+                removed.push(marker);
+                this.markers.delete(id);
+                return;
+            }
+            marker.tombolo = tombolo;
+            marker.setStyle({ fillColor: this.getMarkerColor(tombolo) });
+            marker.setRadius(this.getMarkerRadius(tombolo));
+        });
+        if (removed.length > 0) this.markerCluster.removeLayers(removed);
+        
+        const added = [];
+        current.forEach((tombolo, id) => {
+            if (this.markers.has(id)) return;
+            const marker = this.createMarker(tombolo);
+            this.markers.set(id, marker);
+            added.push(marker);
         });
+        if (added.length > 0) this.markerCluster.addLayers(added);
+        // Cluster icons summarize the marker colours
+        if (this.markerCluster.refreshClusters) this.markerCluster.refreshClusters();
         
-        if (markers.length > 0) {
-            this.markerCluster.addLayers(markers);
-            const bounds = this.markerCluster.getBounds();
-            if (bounds.isValid()) this.map.fitBounds(bounds.pad(0.05));
+        if (this.markers.size > 0) {
+            // In viewport mode (or when a shared view is restored) the view must not be moved by the results
+            if (this.loadingMode !== 'viewport' && !this.preserveView) {
+                const bounds = this.markerCluster.getBounds();
+                if (bounds.isValid()) this.map.fitBounds(bounds.pad(0.05));
+            }
         }
         
+        if (this.proximityTool) this.proximityTool.refresh();
+        if (this.scenarioExplorer) this.scenarioExplorer.updateCounter();
+        if (this.resultsTable) this.resultsTable.refresh();
         this.updateVisiblePointsCount();
     }
     
+    // Canvas marker of a tombolo; the record it shows is kept on `marker.tombolo`
+    createMarker(tombolo) {
+        const marker = L.circleMarker([tombolo.latitude, tombolo.longitude], {
+            radius: this.getMarkerRadius(tombolo),
+            fillColor: this.getMarkerColor(tombolo),
+            color: '#000000',
+            weight: 2,
+            opacity: 1,
+            fillOpacity: 0.95,
+            renderer: this.markerRenderer,
+            bubblingMouseEvents: false,
+            tomboloId: tombolo.id
+        });
+        marker.tombolo = tombolo;
+        
+        // While measuring, a click on a tombolo adds a point snapped to it instead of opening the details
+        marker.on('click', (e) => {
+            L.DomEvent.stopPropagation(e);
+            if (this.measurementTool && this.measurementTool.isActive) {
+                this.measurementTool.addPoint(e.latlng);
+                return;
+            }
+            this.showTomboloDetails(marker.tombolo.id);
+        });
+        
+        // Built on opening, so it always shows the current record
+        marker.bindTooltip(() => `
+            <div style="font-size: 12px; padding: 6px; line-height: 1.4;">
+                <strong style="font-size: 13px;">${this.escapeHtml(marker.tombolo.name_en || 'Unknown')}</strong><br>
+                <span style="color: #666;">Island:</span> <strong>${this.escapeHtml(marker.tombolo.island_en || 'N/A')}</strong><br>
+                <span style="color: #666;">Type:</span> ${marker.tombolo.tombolo_type || 'N/A'}<br>
+                <span style="color: #666;">Status:</span> ${marker.tombolo.submerged === 'yes' ? '🌊 Submerged' : '✓ Not Submerged'}
+            </div>
+        `, {
+            direction: 'top',
+            offset: [0, -10],
+            opacity: 0.9,
+            className: 'minimal-tooltip'
+        });
+        
+        // Hovering a marker also highlights its row in the results table
+        marker.on('mouseover', () => {
+            marker.setStyle({ weight: 3, fillOpacity: 1 });
+            if (this.resultsTable) this.resultsTable.highlightRow(marker.tombolo.id, true);
+        });
+        marker.on('mouseout', () => {
+            marker.setStyle({ weight: 2, fillOpacity: 0.95 });
+            if (this.resultsTable) this.resultsTable.highlightRow(marker.tombolo.id, false);
+        });
+        
+        return marker;
+    }
+    
+    // Hover state of a tombolo's marker set from outside the map (results table rows)
+    highlightMarker(tomboloId, on) {
+        const marker = this.markers.get(String(tomboloId));
+        if (!marker) return;
+        
+        marker.setStyle(on ? { weight: 3, fillOpacity: 1 } : { weight: 2, fillOpacity: 0.95 });
+        // A clustered marker is not on the map, so it has no tooltip to show
+        if (this.markerCluster.getVisibleParent(marker) !== marker) return;
+        if (on) {
+            marker.openTooltip();
+        } else {
+            marker.closeTooltip();
+        }
+    }
+    
+    // Zoom to a tombolo's marker and open its details
+    flyToTombolo(tombolo) {
+        if (window.innerWidth <= 768) {
+            const sidebar = document.getElementById('sidebar');
+            if (sidebar) sidebar.classList.remove('active');
+        }
+        
+        if (tombolo.latitude !== null && tombolo.longitude !== null) {
+            this.map.flyTo([tombolo.latitude, tombolo.longitude], Math.max(this.map.getZoom(), 14), { duration: 1 });
+        }
+        this.showTomboloDetails(tombolo.id);
+    }
+    
     getMarkerColor(tombolo) {
-        // Color based on submerged status and RCP scenarios
-        if (tombolo.submerged === 'yes') return '#cc0000'; // Red - already submerged
-        if (tombolo.sub_rcp85 === 'yes') return '#ff6600'; // Orange - at risk under RCP 8.5
-        if (tombolo.sub_rcp26 === 'yes') return '#ffcc00'; // Yellow - at risk under RCP 2.6
-        return '#000000'; // Black - currently safe
+        // Projected state while the sea-level-rise explorer is open
+        if (this.scenarioExplorer && this.scenarioExplorer.isActive) return this.scenarioExplorer.colorFor(tombolo);
+        
+        // Scheme chosen in the "Style by" legend
+        if (this.styler) return this.styler.colorFor(tombolo);
+        
+        // Red when submerged, orange / yellow at risk under RCP 8.5 / 2.6, black when safe
+        return tomboloRiskLevel(tombolo).color;
+    }
+    
+    // Classes of the active marker scheme (scenario, "Style by" legend or the risk levels)
+    getMarkerClasses() {
+        if (this.scenarioExplorer && this.scenarioExplorer.isActive) return SCENARIO_CLASSES.concat(SCENARIO_NO_DATA);
+        if (this.styler) return this.styler.classes;
+        return TOMBOLO_RISK_LEVELS;
+    }
+    
+    // Number of tombolos per class of the active scheme in a cluster, in the scheme's order
+    clusterComposition(cluster) {
+        const counts = new Map();
+        cluster.getAllChildMarkers().forEach(marker => {
+            const color = marker.options.fillColor;
+            counts.set(color, (counts.get(color) || 0) + 1);
+        });
+        
+        const classes = this.getMarkerClasses();
+        const order = color => {
+            const index = classes.findIndex(item => item.color === color);
+            return index === -1 ? classes.length : index;
+        };
+        return Array.from(counts, ([color, count]) => {
+            const match = classes[order(color)];
+            return { color, count, label: match ? match.label : 'Other' };
+        }).sort((a, b) => order(a.color) - order(b.color));
+    }
+    
+    // Donut chart of the cluster's composition with the count in the middle
+    createClusterIcon(cluster) {
+        const composition = this.clusterComposition(cluster);
+        const total = composition.reduce((sum, part) => sum + part.count, 0) || 1;
+        const size = cluster.getChildCount() >= 100 ? 44 : 36;
+        const radius = size / 2 - 5;
+        const circumference = 2 * Math.PI * radius;
+        
+        let offset = 0;
+        const segments = composition.map(part => {
+            const length = circumference * part.count / total;
+            const segment = `<circle r="${radius}" cx="${size / 2}" cy="${size / 2}" fill="none" stroke="${part.color}" stroke-width="8"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"></circle>`;
+            offset += length;
+            return segment;
+        }).join('');
+        
+        return new L.DivIcon({
+            html: `
+                <svg class="cluster-donut" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}" aria-hidden="true">
+                    <circle r="${size / 2 - 1}" cx="${size / 2}" cy="${size / 2}" fill="#fff"></circle>
+                    <g transform="rotate(-90 ${size / 2} ${size / 2})">${segments}</g>
+                    <text x="50%" y="50%" dy="0.35em" text-anchor="middle">${cluster.getChildCount()}</text>
+                </svg>
+            `,
+            className: 'minimal-cluster',
+            iconSize: new L.Point(size, size)
+        });
+    }
+    
+    clusterTooltip(cluster) {
+        const composition = this.clusterComposition(cluster);
+        const total = composition.reduce((sum, part) => sum + part.count, 0);
+        return `
+            <div class="cluster-breakdown">
+                <strong>${total} tombolo${total === 1 ? '' : 's'}</strong>
+                ${composition.map(part => `
+                    <div><span class="legend-swatch" style="background: ${part.color}"></span>${this.escapeHtml(part.label)}: ${part.count} (${Math.round(part.count / total * 100)}%)</div>
+                `).join('')}
+            </div>
+        `;
+    }
+    
+    getMarkerRadius(tombolo) {
+        return this.styler ? this.styler.radiusFor(tombolo) : 10;
+    }
+    
+    // Restyle the existing markers in place (colour and size) after the styling changed
+    restyleMarkers() {
+        if (!this.markerCluster) return;
+        
+        this.markers.forEach(marker => {
+            marker.setStyle({ fillColor: this.getMarkerColor(marker.tombolo) });
+            marker.setRadius(this.getMarkerRadius(marker.tombolo));
+        });
+        // Cluster icons may summarize marker colours
+        if (this.markerCluster.refreshClusters) this.markerCluster.refreshClusters();
     }
     
     async showTomboloDetails(tomboloId) {
-        if (this.tomboloDetailsCache.has(tomboloId)) {
-            this.displayTomboloModal(this.tomboloDetailsCache.get(tomboloId));
+        // Ids arrive as numbers (markers) or strings (URL); the cache and the markers are keyed by the string
+        const id = String(tomboloId);
+        this.openTomboloId = id;
+        this.updateUrl(true);
+        
+        if (this.tomboloDetailsCache.has(id)) {
+            this.displayTomboloModal(this.tomboloDetailsCache.get(id));
             return;
         }
         
         try {
-            const { data: tombolo, error } = await window.supabaseClient
-                .from('tombolos')
-                .select('*')
-                .eq('id', tomboloId)
-                .single();
-            if (error) throw error;
+            const tombolo = await this.dataSource.getTomboloById(id);
             
-            tombolo.reference = 'https://doi.org/10.3390/jmse12122112';
-            this.tomboloDetailsCache.set(tomboloId, tombolo);
+            tombolo.reference = TOMBOLOS_DOI;
+            this.tomboloDetailsCache.set(id, tombolo);
             this.displayTomboloModal(tombolo);
         } catch (error) {
             console.error('Error loading tombolo details:', error);
             this.showError('Failed to load tombolo details.');
+            this.openTomboloId = null;
+            this.updateUrl(false);
         }
     }
     
     displayTomboloModal(tombolo) {
         if (!this.modalElements) this.cacheModalElements();
         
-        const fields = [
-            { key: 'id', label: 'ID', highlight: true },
-            { key: 'name_en', label: 'Name (EN)' },
-            { key: 'name_gr', label: 'Name (GR)' },
-            { key: 'prefecture_en', label: 'Prefecture' },
-            { key: 'island_en', label: 'Island' },
-            { key: 'tombolo_type', label: 'Type' },
-            { key: 'tombolo_category', label: 'Category' },
-            { key: 'length_m', label: 'Length (m)' },
-            { key: 'width_tombolo_m', label: 'Width - Tombolo (m)' },
-            { key: 'width_continent_m', label: 'Width - Continent (m)' },
-            { key: 'width_island_m', label: 'Width - Island (m)' },
-            { key: 'height_m', label: 'Height (m)' },
-            { key: 'elevation', label: 'Elevation (m)' },
-            { key: 'submerged', label: 'Currently Submerged' },
-            { key: 'sub_rcp26', label: 'Submerged RCP 2.6 (by year 2100)' },
-            { key: 'sub_rcp85', label: 'Submerged RCP 8.5 (by year 2100)' },
-            { key: 'elevation_rcp26', label: 'Elevation RCP 2.6 (by year 2100)' },
-            { key: 'elevation_rcp85', label: 'Elevation RCP 8.5 (by year 2100)' },
-            { key: 'reference', label: 'Reference', isLink: true }
-        ];
+        const fields = [...TOMBOLO_FIELDS, { key: 'reference', label: 'Reference', isLink: true }]
+            .filter(field => !this.isRestrictedField(field.key));
         
         let html = '';
         fields.forEach(field => {
             const value = tombolo[field.key];
             const displayValue = value !== null && value !== undefined && value.toString().trim() ? value : '-';
-            const highlightClass = field.highlight ? 'detail-item-highlighted' : '';
+            const highlightClass = field.key === 'id' ? 'detail-item-highlighted' : '';
             
             let valueHtml;
             if (field.isLink && value && value.toString().trim() && value !== '-') {
@@ -609,34 +1147,41 @@ class TomboloMapApp {
             }
             
             html += `
-                <div class="detail-item ${highlightClass}">
+                <div class="detail-item ${highlightClass}" data-field="${field.key}">
                     <div class="detail-label">${field.label}</div>
                     <div class="detail-value">${valueHtml}</div>
                 </div>
             `;
         });
         
+        this.modalElements.modal.querySelector('.modal-header h3').textContent = 'Tombolo Details';
         this.modalElements.detailsContainer.innerHTML = html;
+        if (this.editor) this.editor.decorateDetails(tombolo);
+        if (this.measurementTool) this.measurementTool.decorateDetails(tombolo);
+        if (this.proximityTool) this.proximityTool.decorateDetails(tombolo);
         this.modalElements.modal.classList.add('active');
         document.body.classList.add('modal-open');
     }
     
-    async applyFilters() {
-        const filters = {
-            prefecture: document.getElementById('prefecture-filter').value,
-            island: document.getElementById('island-filter').value,
-            type: document.getElementById('type-filter').value,
-            category: document.getElementById('category-filter').value,
-            submerged: document.getElementById('submerged-filter').value,
-            subRcp26: document.getElementById('rcp26-filter').value,
-            subRcp85: document.getElementById('rcp85-filter').value
-        };
-        
-        let activeCount = 0;
-        Object.keys(filters).forEach(key => {
-            if (!filters[key]) delete filters[key];
-            else activeCount++;
+    // Selected values of every filter as { key: [values] } plus { column: { min, max } } for ranges,
+    // omitting filters with nothing selected
+    getSelectedFilters() {
+        const filters = {};
+        Object.keys(FILTER_SELECT_IDS).forEach(key => {
+            const select = document.getElementById(FILTER_SELECT_IDS[key]);
+            const values = select ? Array.from(select.selectedOptions, option => option.value).filter(Boolean) : [];
+            if (values.length > 0) filters[key] = values;
         });
+        document.querySelectorAll('#range-filters .range-filter').forEach(group => {
+            const range = this.readRangeFilter(group);
+            if (range.min !== null || range.max !== null) filters[group.dataset.column] = range;
+        });
+        return filters;
+    }
+    
+    async applyFilters() {
+        const filters = this.getSelectedFilters();
+        const activeCount = Object.values(filters).reduce((total, values) => total + (Array.isArray(values) ? values.length : 1), 0);
         
         this.updateActiveFiltersDisplay(filters);
         this.updateFilterIndicator(activeCount, filters);
@@ -646,8 +1191,9 @@ class TomboloMapApp {
             if (sidebar) sidebar.classList.remove('active');
         }
         
-        await this.loadTomboloData(filters);
-        await this.loadStats(filters);
+        this.activeFilters = filters;
+        this.updateUrl(true);
+        await Promise.all([this.loadTomboloData(filters), this.loadStats(filters)]);
     }
     
     updateFilterIndicator(count, filters = {}) {
@@ -664,25 +1210,18 @@ class TomboloMapApp {
     }
     
     async checkDatabaseConnection() {
-        if (!window.supabaseClient) {
+        if (!this.dataSource) {
             this.showError('Database connection not initialized.');
             return false;
         }
         
         try {
-            const { count, error } = await window.supabaseClient
-                .from('tombolos')
-                .select('*', { count: 'exact', head: true });
-            
-            if (error) {
-                this.showError('Failed to connect to database.');
-                return false;
-            }
-            
-            console.log(`✅ Database connected. ${count} tombolos found.`);
+            const count = await this.dataSource.count();
+            console.log(`✅ Database connected (${this.dataSource.name}). ${count} tombolos found.`);
             return true;
         } catch (error) {
-            this.showError('Database connection error.');
+            console.error('❌ Data source error:', error);
+            this.showError(this.dataSource.name === 'local' ? `Failed to load local tombolo data: ${error.message}` : 'Failed to connect to database.');
             return false;
         }
     }
@@ -695,14 +1234,14 @@ class TomboloMapApp {
     }
     
     async clearFilters() {
-        const filterIds = ['prefecture-filter', 'island-filter', 'type-filter', 'category-filter', 'submerged-filter', 'rcp26-filter', 'rcp85-filter'];
-        filterIds.forEach(id => {
+        Object.values(FILTER_SELECT_IDS).forEach(id => {
             const el = document.getElementById(id);
             if (el) {
-                el.value = '';
+                Array.from(el.options).forEach(option => { option.selected = false; });
                 el.classList.remove('has-value');
             }
         });
+        document.querySelectorAll('#range-filters .range-filter').forEach(group => this.resetRangeFilter(group));
         
         const summary = document.getElementById('active-filters-summary');
         if (summary) summary.classList.add('hidden');
@@ -719,16 +1258,6 @@ class TomboloMapApp {
         
         list.innerHTML = '';
         
-        const labels = {
-            prefecture: 'Prefecture',
-            island: 'Island',
-            type: 'Type',
-            category: 'Category',
-            submerged: 'Submerged',
-            subRcp26: 'RCP 2.6',
-            subRcp85: 'RCP 8.5'
-        };
-        
         const activeCount = Object.keys(filters).length;
         if (activeCount === 0) {
             summary.classList.add('hidden');
@@ -737,40 +1266,63 @@ class TomboloMapApp {
         
         summary.classList.remove('hidden');
         
+        // One removable chip per range and per selected value
         Object.keys(filters).forEach(key => {
-            const badge = document.createElement('div');
-            badge.className = 'filter-badge';
-            badge.innerHTML = `
-                <span class="filter-badge-label">${labels[key] || key}:</span>
-                <span class="filter-badge-value">${this.escapeHtml(filters[key])}</span>
-                <button class="filter-badge-remove" title="Remove filter">×</button>
-            `;
-            badge.querySelector('.filter-badge-remove').addEventListener('click', () => this.clearIndividualFilter(key));
-            list.appendChild(badge);
+            if (RANGE_FILTER_LABELS[key]) {
+                const badge = document.createElement('div');
+                badge.className = 'filter-badge';
+                badge.innerHTML = `
+                    <span class="filter-badge-label">${RANGE_FILTER_LABELS[key]}:</span>
+                    <span class="filter-badge-value">${this.escapeHtml(this.formatRange(filters[key]))}</span>
+                    <button class="filter-badge-remove" title="Remove filter">×</button>
+                `;
+                badge.querySelector('.filter-badge-remove').addEventListener('click', () => this.clearIndividualFilter(key));
+                list.appendChild(badge);
+                return;
+            }
+            
+            filters[key].forEach(value => {
+                const badge = document.createElement('div');
+                badge.className = 'filter-badge';
+                badge.innerHTML = `
+                    <span class="filter-badge-label">${FILTER_LABELS[key] || key}:</span>
+                    <span class="filter-badge-value">${this.escapeHtml(value)}</span>
+                    <button class="filter-badge-remove" title="Remove filter">×</button>
+                `;
+                badge.querySelector('.filter-badge-remove').addEventListener('click', () => this.clearIndividualFilter(key, value));
+                list.appendChild(badge);
+            });
         });
     }
     
-    async clearIndividualFilter(filterName) {
-        const filterIds = {
-            prefecture: 'prefecture-filter',
-            island: 'island-filter',
-            type: 'type-filter',
-            category: 'category-filter',
-            submerged: 'submerged-filter',
-            subRcp26: 'rcp26-filter',
-            subRcp85: 'rcp85-filter'
-        };
+    // Deselect one value of a filter, or the whole filter when no value is given
+    async clearIndividualFilter(filterName, value) {
+        const rangeGroup = document.querySelector(`#range-filters [data-column="${filterName}"]`);
+        if (rangeGroup) this.resetRangeFilter(rangeGroup);
         
-        const el = document.getElementById(filterIds[filterName]);
+        const el = document.getElementById(FILTER_SELECT_IDS[filterName]);
         if (el) {
-            el.value = '';
-            el.classList.remove('has-value');
+            Array.from(el.options).forEach(option => {
+                if (value === undefined || option.value === value) option.selected = false;
+            });
+            el.classList.toggle('has-value', el.selectedOptions.length > 0);
         }
-        this.applyFilters();
+        await this.handleFilterChange();
     }
     
     updateVisiblePointsCount() {
-        document.getElementById('visible-points').textContent = this.currentData.length.toLocaleString();
+        const isPartial = this.currentData.length < this.matchCount;
+        document.getElementById('visible-points').textContent = isPartial
+            ? `${this.currentData.length.toLocaleString()} of ${this.matchCount.toLocaleString()}`
+            : this.matchCount.toLocaleString();
+        
+        const notice = document.getElementById('partial-results-notice');
+        if (notice) {
+            notice.textContent = isPartial
+                ? `Showing ${this.currentData.length.toLocaleString()} of ${this.matchCount.toLocaleString()} matching tombolos. Only the current map area is loaded; pan or zoom out to see more.`
+                : '';
+            notice.classList.toggle('hidden', !isPartial);
+        }
     }
     
     showLoading(show) {
@@ -793,6 +1345,11 @@ class TomboloMapApp {
             this.modalElements.modal.classList.remove('active');
         }
         document.body.classList.remove('modal-open');
+        
+        if (this.openTomboloId !== null) {
+            this.openTomboloId = null;
+            this.updateUrl(true);
+        }
     }
     
     cacheModalElements() {
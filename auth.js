@@ -2,12 +2,62 @@
 // Handles Supabase Auth operations, session management, and role-based access control
 // This module is framework-agnostic and works with vanilla JavaScript
 
+// Address the page was opened with, kept before Supabase consumes the tokens of an email link
+const INITIAL_AUTH_URL = new URL(window.location.href);
+
+// Hash parameters that implicit-flow email links (magic link, recovery, email change) add to the redirect URL.
+// The page's own state lives in the query string (url-state.js), so a callback's hash is all auth.
+const AUTH_HASH_PARAMS = [
+    'access_token', 'refresh_token', 'expires_at', 'expires_in', 'token_type', 'provider_token',
+    'provider_refresh_token', 'type', 'error', 'error_code', 'error_description', 'message'
+];
+
+// Query parameters of PKCE-flow links. Generic names such as `type` are map filters and never count.
+const AUTH_CODE_PARAM = 'code';
+const AUTH_ERROR_PARAMS = ['error', 'error_code', 'error_description'];
+
+// Did this browser start a PKCE flow? Supabase keeps its verifier as `<storage key>-code-verifier` until the
+// code is exchanged, so this is read on load like INITIAL_AUTH_URL.
+const INITIAL_PKCE_PENDING = (() => {
+    try {
+        return Object.keys(window.localStorage).some(key => key.endsWith('-code-verifier'));
+    } catch (error) {
+        return false;
+    }
+})();
+
+// Interaction that counts as activity for the idle timeout, and where the last one is shared between tabs
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+const LAST_ACTIVITY_KEY = 'tombolos-last-activity';
+
+// When this user last signed out on purpose, so other tabs can tell it apart from a failed refresh
+const SIGNED_OUT_KEY = 'tombolos-signed-out-at';
+
+// Roles from least to most privileged. A signed-in user without a role claim is a viewer.
+const USER_ROLES = ['viewer', 'contributor', 'editor', 'admin'];
+
+// Permission matrix: the roles allowed to perform each action. The database enforces the same matrix
+// (has_permission in supabase/migrations); change both together.
+const ROLE_PERMISSIONS = {
+    viewRestrictedFields: ['viewer', 'contributor', 'editor', 'admin'],
+    suggestEdits: ['contributor', 'editor', 'admin'],
+    approveEdits: ['editor', 'admin'],
+    deleteTombolos: ['editor', 'admin'],
+    importData: ['admin'],
+    manageUsers: ['admin']
+};
+
 class AuthManager {
     constructor() {
         this.currentSession = null;
         this.currentUser = null;
         this.callbacks = [];
         this.supabaseClient = null;
+        this.expiryTimers = [];
+        this.idleTimer = null;
+        this.lastActivity = Date.now();
+        this.sessionExpired = false;
+        this.signingOut = false;
     }
 
     // Initialize authentication - called after Supabase client is ready
@@ -15,6 +65,9 @@ class AuthManager {
         try {
             console.log('🔐 Initializing authentication...');
             
+            const redirect = await this.handleAuthRedirect();
+            this._watchActivity();
+            
             // Get initial session
             const { data: { session }, error } = await this.supabaseClient.auth.getSession();
             if (error) {
@@ -25,9 +78,29 @@ class AuthManager {
             
             this._updateSession(session);
             
+            // Recovery links that land on another page continue on the reset page with the restored session
+            if (redirect && redirect.success && redirect.type === 'recovery' && session &&
+                !window.location.pathname.endsWith('reset-password.html')) {
+                window.location.href = this._redirectUrl('reset-password.html');
+                return;
+            }
+            
             // Set up auth state change listener
             this.supabaseClient.auth.onAuthStateChange((event, session) => {
                 console.log('🔄 Auth state changed:', event, session ? 'session present' : 'no session');
+                
+                // Supabase drops the session when a refresh is rejected or another tab signed out.
+                // A sign-out elsewhere was meant, so this tab follows it; after a failed refresh keep the
+                // current user and their open work, and ask them to sign in again instead.
+                if (event === 'SIGNED_OUT' && this.currentSession && !this.signingOut) {
+                    if (this._signedOutElsewhere()) {
+                        this._updateSession(null);
+                        window.dispatchEvent(new CustomEvent('auth-session-expired', { detail: { reason: 'signed-out-elsewhere' } }));
+                    } else {
+                        this._expireSession('refresh-failed');
+                    }
+                    return;
+                }
                 this._updateSession(session);
             });
             
@@ -42,9 +115,141 @@ class AuthManager {
     _updateSession(session) {
         this.currentSession = session;
         this.currentUser = session ? session.user : null;
+        if (session) this.sessionExpired = false;
+        this._scheduleExpiry();
+        this._scheduleIdleTimeout();
         this._notifyCallbacks(session);
     }
 
+    // When the access token expires (ms timestamp), or null when signed out
+    getSessionExpiry() {
+        if (!this.currentSession) return null;
+        try {
+            const claims = this.decodeToken(this.currentSession.access_token);
+            if (claims.exp) return claims.exp * 1000;
+        } catch (error) {
+            console.warn('⚠️ Could not read token expiry:', error);
+        }
+        return this.currentSession.expires_at ? this.currentSession.expires_at * 1000 : null;
+    }
+
+    // True after the session ended without the user signing out (see `auth-session-expired`)
+    isSessionExpired() {
+        return this.sessionExpired;
+    }
+
+    // Warn before the token expires and end the session if it was not refreshed by then
+    _scheduleExpiry() {
+        this.expiryTimers.forEach(timer => clearTimeout(timer));
+        this.expiryTimers = [];
+        
+        const expiresAt = this.getSessionExpiry();
+        if (!expiresAt || this.sessionExpired) return;
+        
+        const config = window.tomboloConfig || {};
+        const warningMs = (config.sessionWarningMinutes ?? 5) * 60 * 1000;
+        const now = Date.now();
+        this.expiryTimers.push(setTimeout(() => this._checkExpiring(), Math.max(0, expiresAt - warningMs - now)));
+        this.expiryTimers.push(setTimeout(() => {
+            if (this.getSessionExpiry() <= Date.now()) this._expireSession('expired');
+        }, Math.max(0, expiresAt - now)));
+    }
+
+    // Supabase normally refreshes the token on its own; only warn when a refresh attempt fails now
+    async _checkExpiring() {
+        if (this.sessionExpired || !this.currentSession) return;
+        
+        const result = await this.extendSession();
+        if (result.success || this.sessionExpired) return;
+        
+        const expiresAt = this.getSessionExpiry();
+        console.warn('⚠️ Session ends at', new Date(expiresAt).toLocaleTimeString());
+        window.dispatchEvent(new CustomEvent('auth-session-expiring', { detail: { expiresAt } }));
+    }
+
+    // Mark the session as ended and let the UI ask for a new sign-in.
+    // `reason` is 'expired', 'refresh-failed' or 'idle'.
+    _expireSession(reason) {
+        if (this.sessionExpired) return;
+        this.sessionExpired = true;
+        this.expiryTimers.forEach(timer => clearTimeout(timer));
+        this.expiryTimers = [];
+        
+        console.warn('⚠️ Session ended:', reason);
+        window.dispatchEvent(new CustomEvent('auth-session-expired', { detail: { reason } }));
+    }
+
+    // Did another tab sign out in the last few seconds (see signOut)?
+    _signedOutElsewhere() {
+        try {
+            return Date.now() - (Number(localStorage.getItem(SIGNED_OUT_KEY)) || 0) < 10000;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Refresh the session now, e.g. from a "stay signed in" button
+    async extendSession() {
+        try {
+            const { data, error } = await this.supabaseClient.auth.refreshSession();
+            if (error || !data.session) {
+                console.error('❌ Session refresh error:', error);
+                return { success: false, error: error ? this._getUserFriendlyError(error) : 'Your session could not be renewed.' };
+            }
+            
+            console.log('✅ Session refreshed');
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Session refresh exception:', error);
+            return { success: false, error: 'An unexpected error occurred while renewing the session' };
+        }
+    }
+
+    // Sign the same user in again after the session ended, without reloading the page
+    async reauthenticate(password) {
+        const email = this.currentUser && this.currentUser.email;
+        if (!email) return { success: false, error: 'No user to sign in again.' };
+        return this.signIn(email, password);
+    }
+
+    // Record user interaction for the idle timeout (throttled, shared with other tabs)
+    _watchActivity() {
+        const record = () => {
+            const now = Date.now();
+            if (now - this.lastActivity < 5000) return;
+            this.lastActivity = now;
+            try {
+                localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+            } catch (error) {
+                // Storage unavailable: the timeout then only follows this tab
+            }
+        };
+        ACTIVITY_EVENTS.forEach(type => window.addEventListener(type, record, { passive: true, capture: true }));
+    }
+
+    // Sign out roles listed in idleTimeoutRoles after idleTimeoutMinutes without interaction
+    _scheduleIdleTimeout() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = null;
+        
+        const config = window.tomboloConfig || {};
+        const timeoutMs = (config.idleTimeoutMinutes || 0) * 60 * 1000;
+        const roles = config.idleTimeoutRoles || ['admin'];
+        if (!timeoutMs || !this.currentSession || !roles.includes(this.getRole())) return;
+        
+        const lastActivity = Math.max(this.lastActivity, Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0);
+        const remaining = lastActivity + timeoutMs - Date.now();
+        if (remaining > 0) {
+            this.idleTimer = setTimeout(() => this._scheduleIdleTimeout(), remaining);
+            return;
+        }
+        
+        console.log('💤 Idle for', config.idleTimeoutMinutes, 'minutes, signing out');
+        this.signOut().then(() => {
+            window.dispatchEvent(new CustomEvent('auth-session-expired', { detail: { reason: 'idle' } }));
+        });
+    }
+
     // Notify all registered callbacks of auth state change
     _notifyCallbacks(session) {
         this.callbacks.forEach(callback => {
@@ -89,54 +294,266 @@ class AuthManager {
         }
     }
 
+    // Email a one-time sign-in link (which also contains a 6-digit code) to an existing account
+    async signInWithMagicLink(email) {
+        try {
+            console.log('🔐 Sending sign-in link to:', email);
+            
+            const { error } = await this.supabaseClient.auth.signInWithOtp({
+                email,
+                options: {
+                    shouldCreateUser: false,
+                    emailRedirectTo: this._redirectUrl('index.html')
+                }
+            });
+            
+            if (error) {
+                console.error('❌ Sign-in link error:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            
+            console.log('✅ Sign-in link sent');
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Sign-in link exception:', error);
+            return { success: false, error: 'An unexpected error occurred while sending the sign-in link' };
+        }
+    }
+
+    // Sign in with the code from the sign-in email instead of the link
+    async verifyOtp(email, token) {
+        try {
+            const { data, error } = await this.supabaseClient.auth.verifyOtp({ email, token, type: 'email' });
+            
+            if (error) {
+                console.error('❌ Code verification error:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            
+            console.log('✅ Code verified, signed in');
+            return { success: true, user: data.user, session: data.session };
+        } catch (error) {
+            console.error('❌ Code verification exception:', error);
+            return { success: false, error: 'An unexpected error occurred while verifying the code' };
+        }
+    }
+
+    // Email a link to reset-password.html for choosing a new password
+    async sendPasswordReset(email) {
+        try {
+            console.log('🔐 Sending password reset to:', email);
+            
+            const { error } = await this.supabaseClient.auth.resetPasswordForEmail(email, {
+                redirectTo: this._redirectUrl('reset-password.html')
+            });
+            
+            if (error) {
+                console.error('❌ Password reset error:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            
+            console.log('✅ Password reset email sent');
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Password reset exception:', error);
+            return { success: false, error: 'An unexpected error occurred while requesting a password reset' };
+        }
+    }
+
+    // Set a new password for the signed-in user (also used after following a recovery link)
+    async updatePassword(password) {
+        try {
+            const { error } = await this.supabaseClient.auth.updateUser({ password });
+            
+            if (error) {
+                console.error('❌ Password update error:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            
+            console.log('✅ Password updated');
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Password update exception:', error);
+            return { success: false, error: 'An unexpected error occurred while updating the password' };
+        }
+    }
+
+    // Request an email change; it takes effect once the link sent to the new address is confirmed
+    async changeEmail(email) {
+        try {
+            console.log('🔐 Requesting email change to:', email);
+            
+            const { error } = await this.supabaseClient.auth.updateUser(
+                { email },
+                { emailRedirectTo: this._redirectUrl('index.html') }
+            );
+            
+            if (error) {
+                console.error('❌ Email change error:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            
+            console.log('✅ Email change requested');
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Email change exception:', error);
+            return { success: false, error: 'An unexpected error occurred while changing the email address' };
+        }
+    }
+
+    // Finish the flow of an email link the page was opened from: exchange a PKCE code for a session,
+    // report link errors and strip the auth parameters from the address bar.
+    // A callback is recognized only by auth-specific keys: tokens, a link error or a message in the hash,
+    // a link error in the query, or a `code` while this browser holds a PKCE verifier.
+    // Returns { success, type, error } (also dispatched as an `auth-redirect` event), or null when not a callback.
+    async handleAuthRedirect(url = INITIAL_AUTH_URL, pkcePending = INITIAL_PKCE_PENDING) {
+        const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+        const query = url.searchParams;
+        const hashCallback = ['access_token', 'refresh_token', 'error_code', 'error_description', 'message'].some(key => hash.has(key));
+        const queryError = query.has('error_code') || query.has('error_description');
+        const code = pkcePending ? query.get(AUTH_CODE_PARAM) : null;
+        if (!hashCallback && !queryError && !code) return null;
+        
+        // Only the hash names the link type (PKCE links report recovery through the PASSWORD_RECOVERY event)
+        const type = hash.get('type');
+        // Secure email change sends a message after the first of its two confirmation links
+        let result = { success: true, type, message: hash.get('message') };
+        
+        // Waits for Supabase to finish reading the tokens of an implicit-flow link before they are stripped
+        const { data: { session } } = await this.supabaseClient.auth.getSession();
+        
+        const linkError = hash.get('error_description') || hash.get('error') ||
+            (queryError ? query.get('error_description') || query.get('error') || query.get('error_code') : null);
+        if (linkError) {
+            console.error('❌ Email link error:', linkError);
+            result = { success: false, type, error: this._getUserFriendlyError({ message: linkError }) };
+        } else if (code && !session) {
+            const { error } = await this.supabaseClient.auth.exchangeCodeForSession(code);
+            if (error) {
+                console.error('❌ Could not complete sign-in from email link:', error);
+                result = { success: false, type, error: this._getUserFriendlyError(error) };
+            }
+        }
+        
+        // Drop only the auth parameters that were recognized; the page's own ones (e.g. map filters) stay
+        const cleanUrl = new URL(window.location.href);
+        const cleanHash = new URLSearchParams(cleanUrl.hash.replace(/^#/, ''));
+        if (hashCallback) AUTH_HASH_PARAMS.forEach(key => cleanHash.delete(key));
+        if (code) cleanUrl.searchParams.delete(AUTH_CODE_PARAM);
+        if (queryError) AUTH_ERROR_PARAMS.forEach(key => cleanUrl.searchParams.delete(key));
+        cleanUrl.hash = cleanHash.toString();
+        window.history.replaceState(window.history.state, '', cleanUrl.href);
+        
+        console.log(result.success ? `✅ Email link handled (${type || 'sign in'})` : '⚠️ Email link failed');
+        window.dispatchEvent(new CustomEvent('auth-redirect', { detail: result }));
+        return result;
+    }
+
+    // Absolute URL of a page next to the current one, for email link redirects
+    _redirectUrl(page) {
+        return new URL(`./${page}`, window.location.href).href;
+    }
+
     // Sign out
     async signOut() {
         try {
             console.log('🔐 Signing out...');
+            this.signingOut = true;
+            try {
+                localStorage.setItem(SIGNED_OUT_KEY, String(Date.now()));
+            } catch (error) {
+                // Storage unavailable: other tabs then report the sign-out as an ended session
+            }
             
             const { error } = await this.supabaseClient.auth.signOut();
-            if (error) {
+            if (error && !this.sessionExpired) {
                 console.error('❌ Sign out error:', error);
                 return { success: false, error: this._getUserFriendlyError(error) };
             }
             
+            // An expired session has no SIGNED_OUT event left to clear the kept user
+            if (this.currentSession) this._updateSession(null);
+            
             console.log('✅ Sign out successful');
             return { success: true };
         } catch (error) {
             console.error('❌ Sign out exception:', error);
             return { success: false, error: 'An unexpected error occurred during sign out' };
+        } finally {
+            this.signingOut = false;
         }
     }
 
-    // Check if current user is admin
-    isAdmin() {
-        if (!this.currentUser) return false;
+    // Role of the current user, or null when signed out.
+    // Only server-controlled claims count (JWT and app_metadata); user_metadata can be edited by the user.
+    getRole() {
+        if (!this.currentUser) return null;
         
-        // Check user metadata
-        if (this.currentUser.user_metadata?.is_admin === true || 
-            this.currentUser.user_metadata?.is_admin === 'true') {
-            return true;
-        }
-        
-        // Check app metadata
-        if (this.currentUser.app_metadata?.role === 'admin') {
-            return true;
-        }
-        
-        // Check JWT token claims if available
+        let claims = null;
         if (this.currentSession?.access_token) {
             try {
-                const claims = this.decodeToken(this.currentSession.access_token);
-                if (claims?.is_admin === true || claims?.is_admin === 'true' || 
-                    claims?.role === 'admin') {
-                    return true;
-                }
+                claims = this.decodeToken(this.currentSession.access_token);
             } catch (error) {
-                console.warn('⚠️ Could not decode token for admin check:', error);
+                console.warn('⚠️ Could not decode token for role check:', error);
             }
         }
         
-        return false;
+        const appMetadata = this.currentUser.app_metadata || {};
+        const candidates = [claims?.user_role, claims?.app_metadata?.role, appMetadata.role, claims?.role];
+        const role = candidates.find(value => USER_ROLES.includes(value));
+        if (role) return role;
+        
+        // Accounts flagged with the older is_admin claim
+        const legacyAdmin = [claims?.is_admin, claims?.app_metadata?.is_admin, appMetadata.is_admin];
+        if (legacyAdmin.some(value => value === true || value === 'true')) return 'admin';
+        
+        return 'viewer';
+    }
+
+    // Can the current user perform an action of ROLE_PERMISSIONS?
+    hasPermission(action) {
+        const role = this.getRole();
+        return Boolean(role && ROLE_PERMISSIONS[action] && ROLE_PERMISSIONS[action].includes(role));
+    }
+
+    // Check if current user is admin
+    isAdmin() {
+        return this.getRole() === 'admin';
+    }
+
+    // Users and their roles ([{ id, email, role }]), via the `list_user_roles` database function (admins only)
+    async listUserRoles() {
+        try {
+            const { data, error } = await this.supabaseClient.rpc('list_user_roles');
+            if (error) {
+                console.error('❌ Error listing user roles:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            return { success: true, users: data || [] };
+        } catch (error) {
+            console.error('❌ List user roles exception:', error);
+            return { success: false, error: 'An unexpected error occurred while loading users' };
+        }
+    }
+
+    // Assign a role through the `set_user_role` database function, which stores it in app_metadata
+    async setUserRole(userId, role) {
+        if (!USER_ROLES.includes(role)) {
+            return { success: false, error: `Unknown role: ${role}` };
+        }
+        
+        try {
+            console.log('🔐 Setting role', role, 'for user', userId);
+            const { error } = await this.supabaseClient.rpc('set_user_role', { target_user_id: userId, new_role: role });
+            if (error) {
+                console.error('❌ Error setting user role:', error);
+                return { success: false, error: this._getUserFriendlyError(error) };
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Set user role exception:', error);
+            return { success: false, error: 'An unexpected error occurred while changing the role' };
+        }
     }
 
     // Require admin access - redirect to login if not admin
@@ -183,6 +600,21 @@ class AuthManager {
                 return 'Please check your email and click the confirmation link before signing in.';
             case 'Too many requests':
                 return 'Too many sign-in attempts. Please wait a few minutes before trying again.';
+            case 'Email rate limit exceeded':
+            case 'For security purposes, you can only request this once every 60 seconds':
+                return 'Too many emails requested. Please wait a minute before trying again.';
+            case 'Signups not allowed for otp':
+                return 'No account exists for this email address. Please ask an administrator for an invitation.';
+            case 'Token has expired or is invalid':
+            case 'Email link is invalid or has expired':
+                return 'This link or code is invalid or has expired. Please request a new one.';
+            case 'New password should be different from the old password.':
+                return 'Please choose a password different from your current one.';
+            case 'Password should be at least 6 characters':
+            case 'Password should be at least 6 characters.':
+                return 'Your password must be at least 6 characters long.';
+            case 'Auth session missing!':
+                return 'Your session has ended. Please sign in again.';
             default:
                 return error.message || 'An authentication error occurred. Please try again.';
         }
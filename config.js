@@ -1,5 +1,5 @@
 // Supabase Configuration for Greek Tombolos Web Map
-// This file initializes the Supabase JavaScript client for the Tombolos application.
+// This file picks the data source and initializes the Supabase JavaScript client for the Tombolos application.
 
 // Configuration - These will be replaced during GitHub Pages deployment via GitHub Actions
 // Credentials are injected at deploy time via GitHub Actions secrets.
@@ -8,6 +8,24 @@
 const SUPABASE_URL = 'YOUR_SUPABASE_URL';
 const SUPABASE_ANON_KEY = 'YOUR_SUPABASE_ANON_KEY';
 
+// Data source: 'supabase', 'local' (bundled GeoJSON/CSV file) or 'auto' (Supabase when configured, local otherwise)
+const DATA_SOURCE = 'auto';
+const LOCAL_DATA_URL = './data/tombolos.geojson';
+
+// Marker loading: 'all' pages through every matching row, 'viewport' loads only rows inside the map view (plus a margin)
+const DATA_LOADING = 'all';
+
+// Columns hidden in the detail modal and exports unless the user may view restricted fields (see ROLE_PERMISSIONS in auth.js).
+// This only hides them in the UI; protect the data itself with database column privileges or row level security.
+const RESTRICTED_FIELDS = [];
+
+// Minutes before the session ends to warn signed-in users (when the token could not be refreshed in time)
+const SESSION_WARNING_MINUTES = 5;
+
+// Sign these roles out after this many minutes without interaction, e.g. on shared lab machines (0 disables)
+const IDLE_TIMEOUT_MINUTES = 0;
+const IDLE_TIMEOUT_ROLES = ['admin'];
+
 // Helper function to display configuration error banner
 function showConfigurationError(message, details) {
     console.error('⚠️ Configuration Error:', message);
@@ -39,6 +57,18 @@ function showConfigurationError(message, details) {
     }
 }
 
+// Check whether Supabase credentials have been filled in
+function isSupabaseConfigured() {
+    return Boolean(SUPABASE_URL && SUPABASE_URL !== 'YOUR_SUPABASE_URL' &&
+        SUPABASE_ANON_KEY && SUPABASE_ANON_KEY !== 'YOUR_SUPABASE_ANON_KEY');
+}
+
+// Switch to the bundled data file (used when Supabase is not configured or unavailable)
+function useLocalDataSource(reason) {
+    console.log(`📁 Using local data source (${reason}):`, LOCAL_DATA_URL);
+    window.tomboloConfig.dataSource = 'local';
+}
+
 // Validate configuration
 function validateConfig() {
     console.log('🔍 Validating Supabase configuration...');
@@ -94,14 +124,36 @@ async function testConnection(supabaseClient) {
 
 // Initialize Supabase client
 (async function initializeSupabase() {
+    window.tomboloConfig = {
+        dataSource: DATA_SOURCE === 'local' ? 'local' : 'supabase',
+        localDataUrl: LOCAL_DATA_URL,
+        loadingMode: DATA_LOADING,
+        restrictedFields: RESTRICTED_FIELDS,
+        sessionWarningMinutes: SESSION_WARNING_MINUTES,
+        idleTimeoutMinutes: IDLE_TIMEOUT_MINUTES,
+        idleTimeoutRoles: IDLE_TIMEOUT_ROLES
+    };
+
+    if (DATA_SOURCE === 'local') {
+        useLocalDataSource('configured');
+        return;
+    }
+
+    if (DATA_SOURCE === 'auto' && !isSupabaseConfigured()) {
+        useLocalDataSource('Supabase credentials not set');
+        return;
+    }
+
     if (typeof supabase === 'undefined') {
         console.error('❌ Supabase library not loaded.');
         showConfigurationError('Supabase library not loaded. Please check the CDN script.');
+        if (DATA_SOURCE === 'auto') useLocalDataSource('Supabase library missing');
         return;
     }
     
     if (!validateConfig()) {
         console.error('❌ Cannot initialize Supabase client without valid credentials');
+        if (DATA_SOURCE === 'auto') useLocalDataSource('invalid Supabase credentials');
         return;
     }
     
@@ -119,11 +171,16 @@ async function testConnection(supabaseClient) {
         console.log('✅ Supabase client initialized successfully');
         console.log('📍 Project URL:', SUPABASE_URL);
 
-        await testConnection(supabaseClient);
+        if (navigator.onLine) {
+            await testConnection(supabaseClient);
+        } else {
+            console.log('📴 Offline - skipping connection test, cached data will be used');
+        }
         window.dispatchEvent(new CustomEvent('supabase-ready', { detail: { client: supabaseClient } }));
         
     } catch (error) {
         console.error('❌ Failed to initialize Supabase client:', error);
         showConfigurationError('Failed to initialize Supabase client.', error.message);
+        if (DATA_SOURCE === 'auto') useLocalDataSource('Supabase client failed to initialize');
     }
 })();
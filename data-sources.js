@@ -0,0 +1,575 @@
+/**
+ * Tombolos Web Map - Data Sources
+ * Adapters that answer the map's queries either from Supabase or from a bundled GeoJSON/CSV file.
+ * Every adapter exposes the same methods so the app never talks to a backend directly.
+ */
+
+// Source publication of the dataset, cited in the details and in exports
+const TOMBOLOS_DOI = 'https://doi.org/10.3390/jmse12091578';
+
+// UI filter keys mapped to their columns in the tombolos table.
+// Filter values are arrays of accepted values (a single string is treated as a one-value array).
+const TOMBOLO_FILTER_COLUMNS = {
+    prefecture: 'prefecture_en',
+    island: 'island_en',
+    type: 'tombolo_type',
+    category: 'tombolo_category',
+    submerged: 'submerged',
+    subRcp26: 'sub_rcp26',
+    subRcp85: 'sub_rcp85'
+};
+
+// Numeric columns that can be filtered by range; filter values are { min, max } (either may be null)
+const TOMBOLO_RANGE_COLUMNS = ['length_m', 'height_m', 'width_tombolo_m', 'elevation', 'elevation_rcp26', 'elevation_rcp85'];
+
+// Columns stored as numbers (CSV values are converted on load)
+const TOMBOLO_NUMERIC_COLUMNS = [
+    'id', 'latitude', 'longitude', 'length_m', 'width_tombolo_m', 'width_continent_m',
+    'width_island_m', 'height_m', 'elevation', 'elevation_rcp26', 'elevation_rcp85'
+];
+
+// Fields of a tombolo record as shown in the detail modal and edited by admins.
+// `type` drives validation: 'integer', 'number', 'text' or 'yesno'; `min` rejects smaller numbers.
+// Elevations have no minimum: tombolos below sea level have negative ones.
+const TOMBOLO_FIELDS = [
+    { key: 'id', label: 'ID', type: 'integer', min: 1 },
+    { key: 'name_en', label: 'Name (EN)', type: 'text', required: true },
+    { key: 'name_gr', label: 'Name (GR)', type: 'text' },
+    { key: 'prefecture_en', label: 'Prefecture', type: 'text' },
+    { key: 'island_en', label: 'Island', type: 'text' },
+    { key: 'tombolo_type', label: 'Type', type: 'text' },
+    { key: 'tombolo_category', label: 'Category', type: 'text' },
+    { key: 'length_m', label: 'Length (m)', type: 'number', min: 0 },
+    { key: 'width_tombolo_m', label: 'Width - Tombolo (m)', type: 'number', min: 0 },
+    { key: 'width_continent_m', label: 'Width - Continent (m)', type: 'number', min: 0 },
+    { key: 'width_island_m', label: 'Width - Island (m)', type: 'number', min: 0 },
+    { key: 'height_m', label: 'Height (m)', type: 'number' },
+    { key: 'elevation', label: 'Elevation (m)', type: 'number' },
+    { key: 'submerged', label: 'Currently Submerged', type: 'yesno' },
+    { key: 'sub_rcp26', label: 'Submerged RCP 2.6 (by year 2100)', type: 'yesno' },
+    { key: 'sub_rcp85', label: 'Submerged RCP 8.5 (by year 2100)', type: 'yesno' },
+    { key: 'elevation_rcp26', label: 'Elevation RCP 2.6 (by year 2100)', type: 'number' },
+    { key: 'elevation_rcp85', label: 'Elevation RCP 8.5 (by year 2100)', type: 'number' }
+];
+
+// Risk levels in priority order: a tombolo has the first level whose flag is 'yes', otherwise 'safe'
+const TOMBOLO_RISK_LEVELS = [
+    { key: 'submerged', label: 'Submerged', field: 'submerged', color: '#cc0000' },
+    { key: 'rcp85', label: 'At risk (RCP 8.5)', field: 'sub_rcp85', color: '#ff6600' },
+    { key: 'rcp26', label: 'At risk (RCP 2.6)', field: 'sub_rcp26', color: '#ffcc00' },
+    { key: 'safe', label: 'Not at risk', field: null, color: '#000000' }
+];
+
+function tomboloRiskLevel(record) {
+    return TOMBOLO_RISK_LEVELS.find(level => !level.field || record[level.field] === 'yes');
+}
+
+// Accepted values of one filter as an array (empty when the filter is not set)
+function filterValues(value) {
+    if (Array.isArray(value)) return value;
+    return value ? [value] : [];
+}
+
+// Does a numeric value fall inside a { min, max } range? Missing values never match a set range.
+function inRange(value, range) {
+    if (!range || (range.min === null && range.max === null)) return true;
+    if (value === null || value === undefined || value === '') return false;
+    const number = Number(value);
+    if (!Number.isFinite(number)) return false;
+    return (range.min === null || number >= range.min) && (range.max === null || number <= range.max);
+}
+
+// Trimmed string, or null when blank or missing
+function normalizeTomboloValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'string') return value;
+    const trimmed = value.trim();
+    return trimmed === '' ? null : trimmed;
+}
+
+// Normalize every value and turn numeric columns into numbers. Every adapter returns records in this
+// form, and facets and the legend read values through normalizeTomboloValue, so they all agree.
+function normalizeTomboloRecord(row) {
+    const record = {};
+    Object.keys(row).forEach(key => {
+        let value = normalizeTomboloValue(row[key]);
+        if (value !== null && TOMBOLO_NUMERIC_COLUMNS.includes(key)) {
+            const number = Number(value);
+            value = Number.isFinite(number) ? number : null;
+        }
+        record[key] = value;
+    });
+    return record;
+}
+
+// One entry of a tombolo's change history kept by the local adapter (in Supabase the tombolo_history
+// trigger writes the same rows); `before`/`after` are full record snapshots
+function createRevision(action, tomboloId, before, after, user) {
+    return {
+        tombolo_id: tomboloId,
+        action,
+        changed_at: new Date().toISOString(),
+        changed_by: user ? user.id : null,
+        changed_by_email: user ? user.email : null,
+        before: before ? { ...before } : null,
+        after: after ? { ...after } : null
+    };
+}
+
+// A contributor's proposed changes to one tombolo, pending review
+function createSuggestionEntry(tomboloId, changes, user) {
+    return {
+        tombolo_id: tomboloId,
+        changes: { ...changes },
+        status: 'pending',
+        suggested_at: new Date().toISOString(),
+        suggested_by: user ? user.id : null,
+        suggested_by_email: user ? user.email : null
+    };
+}
+
+class SupabaseDataSource {
+    constructor(client) {
+        this.name = 'supabase';
+        this.client = client;
+    }
+
+    // Total number of records in the table
+    async count() {
+        const { count, error } = await this.client
+            .from('tombolos')
+            .select('*', { count: 'exact', head: true });
+        if (error) throw error;
+        return count;
+    }
+
+    // Records with coordinates matching the filters, optionally only those inside `options.bounds`.
+    // Rows are paged through so no result set is silently truncated.
+    async getTombolos(filters = {}, options = {}) {
+        let query = this.client.from('tombolos')
+            .select(options.columns || '*')
+            .not('latitude', 'is', null)
+            .not('longitude', 'is', null);
+
+        query = this._applyFilters(query, filters);
+        if (options.bounds) query = this._applyBounds(query, options.bounds);
+
+        return this._fetchAllRecords(query.order('id'));
+    }
+
+    // Number of records with coordinates matching the filters, wherever they are on the map
+    async countTombolos(filters = {}) {
+        let query = this.client.from('tombolos')
+            .select('id', { count: 'exact', head: true })
+            .not('latitude', 'is', null)
+            .not('longitude', 'is', null);
+
+        query = this._applyFilters(query, filters);
+
+        const { count, error } = await query;
+        if (error) throw error;
+        return count;
+    }
+
+    // Every record with all columns (used to fill the offline cache)
+    async getAll() {
+        return this._fetchAllRecords(this.client.from('tombolos').select('*').order('id'));
+    }
+
+    // Full record for the detail modal
+    async getTomboloById(id) {
+        const { data, error } = await this.client
+            .from('tombolos')
+            .select('*')
+            .eq('id', id)
+            .single();
+        if (error) throw error;
+        return normalizeTomboloRecord(data);
+    }
+
+    // Insert a record and return it as stored (the database assigns the id when none is given).
+    // A trigger on the tombolos table records every write with the signed-in user in `tombolo_history`
+    // (supabase/migrations), so `user` is only used by the local adapter.
+    async createTombolo(record, user = null) {
+        const { data, error } = await this.client
+            .from('tombolos')
+            .insert(record)
+            .select()
+            .single();
+        if (error) throw error;
+        return normalizeTomboloRecord(data);
+    }
+
+    // Apply changes to one record and return it as stored
+    async updateTombolo(id, changes, user = null) {
+        const { data, error } = await this.client
+            .from('tombolos')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single();
+        if (error) throw error;
+        return normalizeTomboloRecord(data);
+    }
+
+    async deleteTombolo(id, user = null) {
+        const { error } = await this.client
+            .from('tombolos')
+            .delete()
+            .eq('id', id);
+        if (error) throw error;
+        return true;
+    }
+
+    // Write a whole import batch in one transaction (the import_tombolos function in supabase/migrations):
+    // either every row is stored or none is. `updates` are { id, changes }; returns the stored records.
+    async importTombolos(inserts, updates, user = null) {
+        const { data, error } = await this.client.rpc('import_tombolos', { inserts, updates });
+        if (error) throw error;
+        return (data || []).map(normalizeTomboloRecord);
+    }
+
+    // Revisions of one tombolo, newest first. Rows of `tombolo_history`: tombolo_id, action, changed_at,
+    // changed_by, changed_by_email, before and after (jsonb snapshots, null for creates and deletes)
+    async getHistory(id) {
+        const { data, error } = await this.client
+            .from('tombolo_history')
+            .select('*')
+            .eq('tombolo_id', id)
+            .order('changed_at', { ascending: false });
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Proposed changes from contributors wait in `tombolo_suggestions` until an editor reviews them
+    async createSuggestion(id, changes, user = null) {
+        const { data, error } = await this.client
+            .from('tombolo_suggestions')
+            .insert(createSuggestionEntry(id, changes, user))
+            .select()
+            .single();
+        if (error) throw error;
+        return data;
+    }
+
+    // Pending suggestions for one tombolo, oldest first
+    async getSuggestions(id) {
+        const { data, error } = await this.client
+            .from('tombolo_suggestions')
+            .select('*')
+            .eq('tombolo_id', id)
+            .eq('status', 'pending')
+            .order('suggested_at');
+        if (error) throw error;
+        return data || [];
+    }
+
+    // Mark a suggestion 'approved' or 'rejected' (approved changes are written separately)
+    async resolveSuggestion(suggestionId, status, user = null) {
+        const { error } = await this.client
+            .from('tombolo_suggestions')
+            .update({ status, reviewed_by: user ? user.id : null, reviewed_at: new Date().toISOString() })
+            .eq('id', suggestionId);
+        if (error) throw error;
+        return true;
+    }
+
+    _applyFilters(query, filters) {
+        Object.keys(TOMBOLO_FILTER_COLUMNS).forEach(key => {
+            const values = filterValues(filters[key]);
+            if (values.length > 0) query = query.in(TOMBOLO_FILTER_COLUMNS[key], values);
+        });
+        TOMBOLO_RANGE_COLUMNS.forEach(column => {
+            const range = filters[column];
+            if (!range) return;
+            if (range.min !== null) query = query.gte(column, range.min);
+            if (range.max !== null) query = query.lte(column, range.max);
+        });
+        return query;
+    }
+
+    _applyBounds(query, bounds) {
+        return query
+            .gte('latitude', bounds.south)
+            .lte('latitude', bounds.north)
+            .gte('longitude', bounds.west)
+            .lte('longitude', bounds.east);
+    }
+
+    async _fetchAllRecords(query) {
+        const allRecords = [];
+        const batchSize = 1000;
+        let offset = 0;
+
+        while (true) {
+            const { data, error } = await query.range(offset, offset + batchSize - 1);
+            if (error) throw error;
+            if (!data || data.length === 0) break;
+            allRecords.push(...data.map(normalizeTomboloRecord));
+            if (data.length < batchSize) break;
+            offset += batchSize;
+        }
+        return allRecords;
+    }
+}
+
+class LocalDataSource {
+    constructor(url) {
+        this.name = 'local';
+        this.url = url;
+        this.records = null;
+        this.loadPromise = null;
+        this.history = [];
+        this.suggestions = [];
+    }
+
+    // Adapter over records that are already in memory (e.g. the offline cache)
+    static fromRecords(records) {
+        const source = new LocalDataSource(null);
+        source.records = records.map(record => source._normalizeRecord(record));
+        return source;
+    }
+
+    // Flat rows (raw values) from CSV or GeoJSON text; the format is taken from the file name
+    static parseRows(text, fileName) {
+        const parser = new LocalDataSource(null);
+        return /\.csv($|\?)/i.test(fileName) ? parser._parseCSV(text) : parser._parseGeoJSON(JSON.parse(text));
+    }
+
+    // Fetch and parse the bundled file once; later calls reuse the parsed records
+    load() {
+        if (this.records) return Promise.resolve(this.records);
+        if (!this.loadPromise) {
+            this.loadPromise = (async () => {
+                console.log('📁 Loading local tombolo data from', this.url);
+                const response = await fetch(this.url);
+                if (!response.ok) {
+                    throw new Error(`Could not load ${this.url} (HTTP ${response.status})`);
+                }
+
+                const text = await response.text();
+                const records = LocalDataSource.parseRows(text, this.url).map(row => this._normalizeRecord(row));
+                // An empty bundle would silently show an empty map
+                if (records.length === 0) {
+                    throw new Error(`${this.url} contains no tombolos; regenerate it with export_tombolos.py`);
+                }
+                this.records = records;
+                console.log(`✅ Local data loaded. ${this.records.length} tombolos found.`);
+                return this.records;
+            })();
+            this.loadPromise.catch(() => { this.loadPromise = null; });
+        }
+        return this.loadPromise;
+    }
+
+    async count() {
+        const records = await this.load();
+        return records.length;
+    }
+
+    async getTombolos(filters = {}, options = {}) {
+        const records = await this.load();
+        return records
+            .filter(r => this._hasCoordinates(r) && this._matches(r, filters) && this._inBounds(r, options.bounds))
+            .map(r => ({ ...r }));
+    }
+
+    async countTombolos(filters = {}) {
+        const records = await this.load();
+        return records.filter(r => this._hasCoordinates(r) && this._matches(r, filters)).length;
+    }
+
+    async getAll() {
+        const records = await this.load();
+        return records.map(r => ({ ...r }));
+    }
+
+    async getTomboloById(id) {
+        const records = await this.load();
+        const record = records.find(r => String(r.id) === String(id));
+        if (!record) throw new Error(`Tombolo ${id} not found`);
+        return { ...record };
+    }
+
+    // Edits and their history only change the records in memory; the bundled file itself is never written
+    async createTombolo(record, user = null) {
+        const records = await this.load();
+        const created = this._normalizeRecord({ ...record });
+        if (created.id === null || created.id === undefined) {
+            created.id = records.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0) + 1;
+        }
+        if (records.some(r => String(r.id) === String(created.id))) {
+            throw new Error(`Tombolo ${created.id} already exists`);
+        }
+        records.push(created);
+        this.history.push(createRevision('create', created.id, null, created, user));
+        return { ...created };
+    }
+
+    async updateTombolo(id, changes, user = null) {
+        const records = await this.load();
+        const index = records.findIndex(r => String(r.id) === String(id));
+        if (index === -1) throw new Error(`Tombolo ${id} not found`);
+        const before = records[index];
+        records[index] = this._normalizeRecord({ ...before, ...changes });
+        this.history.push(createRevision('update', id, before, records[index], user));
+        return { ...records[index] };
+    }
+
+    async deleteTombolo(id, user = null) {
+        const records = await this.load();
+        const index = records.findIndex(r => String(r.id) === String(id));
+        if (index === -1) throw new Error(`Tombolo ${id} not found`);
+        const [before] = records.splice(index, 1);
+        this.history.push(createRevision('delete', id, before, null, user));
+        return true;
+    }
+
+    // All or nothing, like the Supabase adapter: a failing row restores the records and history
+    async importTombolos(inserts, updates, user = null) {
+        const records = await this.load();
+        const snapshot = records.slice();
+        const historyLength = this.history.length;
+        try {
+            const stored = [];
+            for (const record of inserts) stored.push(await this.createTombolo(record, user));
+            for (const update of updates) stored.push(await this.updateTombolo(update.id, update.changes, user));
+            return stored;
+        } catch (error) {
+            records.splice(0, records.length, ...snapshot);
+            this.history.length = historyLength;
+            throw error;
+        }
+    }
+
+    async createSuggestion(id, changes, user = null) {
+        const suggestion = { id: this.suggestions.length + 1, ...createSuggestionEntry(id, changes, user) };
+        this.suggestions.push(suggestion);
+        return { ...suggestion };
+    }
+
+    async getSuggestions(id) {
+        return this.suggestions
+            .filter(suggestion => String(suggestion.tombolo_id) === String(id) && suggestion.status === 'pending')
+            .map(suggestion => ({ ...suggestion }));
+    }
+
+    async resolveSuggestion(suggestionId, status, user = null) {
+        const suggestion = this.suggestions.find(entry => entry.id === suggestionId);
+        if (!suggestion) throw new Error(`Suggestion ${suggestionId} not found`);
+        Object.assign(suggestion, { status, reviewed_by: user ? user.id : null, reviewed_at: new Date().toISOString() });
+        return true;
+    }
+
+    async getHistory(id) {
+        return this.history
+            .filter(revision => String(revision.tombolo_id) === String(id))
+            .reverse();
+    }
+
+    _hasCoordinates(record) {
+        return record.latitude !== null && record.longitude !== null;
+    }
+
+    _inBounds(record, bounds) {
+        if (!bounds) return true;
+        return record.latitude >= bounds.south && record.latitude <= bounds.north &&
+            record.longitude >= bounds.west && record.longitude <= bounds.east;
+    }
+
+    _matches(record, filters) {
+        return Object.keys(TOMBOLO_FILTER_COLUMNS).every(key => {
+            const values = filterValues(filters[key]);
+            return values.length === 0 || values.includes(record[TOMBOLO_FILTER_COLUMNS[key]]);
+        }) && TOMBOLO_RANGE_COLUMNS.every(column => inRange(record[column], filters[column]));
+    }
+
+    // Point features become flat rows; coordinates come from the geometry unless set as properties
+    _parseGeoJSON(geojson) {
+        const features = geojson && Array.isArray(geojson.features) ? geojson.features : [];
+        return features.map(feature => {
+            const row = { ...(feature.properties || {}) };
+            const coords = feature.geometry && feature.geometry.type === 'Point' ? feature.geometry.coordinates : null;
+            if (coords) {
+                if (row.longitude === undefined || row.longitude === null) row.longitude = coords[0];
+                if (row.latitude === undefined || row.latitude === null) row.latitude = coords[1];
+            }
+            if ((row.id === undefined || row.id === null) && feature.id !== undefined) row.id = feature.id;
+            return row;
+        });
+    }
+
+    // Minimal RFC 4180 parser: quoted fields, escaped quotes and embedded newlines
+    _parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Blank rows are dropped, as are '#' comment lines above the header (e.g. exported citations)
+        const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+        while (nonEmpty.length > 0 && nonEmpty[0][0].trim().startsWith('#')) nonEmpty.shift();
+        if (nonEmpty.length === 0) return [];
+
+        const headers = nonEmpty[0].map(h => h.trim().replace(/^\uFEFF/, ''));
+        return nonEmpty.slice(1).map(values => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] !== undefined ? values[index] : null;
+            });
+            return record;
+        });
+    }
+
+    _normalizeRecord(row) {
+        const record = normalizeTomboloRecord(row);
+        if (record.latitude === undefined) record.latitude = null;
+        if (record.longitude === undefined) record.longitude = null;
+        return record;
+    }
+}
+
+// Pick the adapter chosen in config.js; either one is wrapped by the offline cache when available
+function createDataSource(config = window.tomboloConfig || {}) {
+    let source = null;
+    if (config.dataSource === 'local') {
+        source = new LocalDataSource(config.localDataUrl || './data/tombolos.geojson');
+    } else if (window.supabaseClient) {
+        source = new SupabaseDataSource(window.supabaseClient);
+    }
+    if (source && typeof CachedDataSource !== 'undefined' && window.indexedDB) {
+        return new CachedDataSource(source, new OfflineStore());
+    }
+    return source;
+}
@@ -0,0 +1,157 @@
+/**
+ * Tombolos Web Map - Export
+ * Serializes tombolo records to CSV, GeoJSON and KML with a citation block for the source paper.
+ * Uses the shared dataset helpers of data-sources.js (TOMBOLOS_DOI, TOMBOLO_RISK_LEVELS, tomboloRiskLevel).
+ */
+
+const TOMBOLOS_CITATION = 'Maroukian, H., Spyrou, E., Tsiatoura, S., Tzouxanioti, M., & Evelpidou, N. (2024). ' +
+    'Sea Level Rise and the Future of Tombolos: The Case of Greece. Journal of Marine Science and Engineering, 12(9).';
+
+// Column order of exported files; any other columns present in the records follow these
+const TOMBOLO_EXPORT_COLUMNS = [
+    'id', 'name_en', 'name_gr', 'prefecture_en', 'island_en', 'latitude', 'longitude',
+    'tombolo_type', 'tombolo_category', 'length_m', 'width_tombolo_m', 'width_continent_m',
+    'width_island_m', 'height_m', 'elevation', 'submerged', 'sub_rcp26', 'sub_rcp85',
+    'elevation_rcp26', 'elevation_rcp85'
+];
+
+// KML colour (aabbggrr) of a '#rrggbb' map colour, so placemarks use the risk colours of TOMBOLO_RISK_LEVELS
+function kmlColor(hex) {
+    const [, red, green, blue] = hex.match(/^#(..)(..)(..)$/);
+    return `ff${blue}${green}${red}`;
+}
+
+function hasCoordinates(record) {
+    return Number.isFinite(parseFloat(record.latitude)) && Number.isFinite(parseFloat(record.longitude));
+}
+
+function exportColumns(records) {
+    const extra = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => {
+        if (!TOMBOLO_EXPORT_COLUMNS.includes(key)) extra.add(key);
+    }));
+    // Columns left out of every record (e.g. restricted fields) are not exported
+    const known = TOMBOLO_EXPORT_COLUMNS.filter(column => records.some(record => column in record));
+    return known.concat(Array.from(extra));
+}
+
+// Metadata block shared by all formats
+function exportMetadata(records, filtersDescription) {
+    return {
+        title: 'Tombolos of Greece',
+        citation: TOMBOLOS_CITATION,
+        doi: TOMBOLOS_DOI,
+        exported: new Date().toISOString(),
+        filters: filtersDescription || 'None',
+        count: records.length
+    };
+}
+
+function tombolosToCSV(records, filtersDescription) {
+    const metadata = exportMetadata(records, filtersDescription);
+    const columns = exportColumns(records);
+    const escape = value => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // Citation lines are prefixed with '#' so tools can skip them as comments
+    const header = [
+        `# ${metadata.title}`,
+        `# Source: ${metadata.citation} ${metadata.doi}`,
+        `# Filters: ${metadata.filters}`,
+        `# Exported: ${metadata.exported} (${metadata.count} records)`
+    ];
+    const rows = records.map(record => columns.map(column => escape(record[column])).join(','));
+    return header.concat(columns.join(','), rows).join('\r\n') + '\r\n';
+}
+
+function tombolosToGeoJSON(records, filtersDescription) {
+    const columns = exportColumns(records);
+    const features = records
+        .filter(hasCoordinates)
+        .map(record => {
+            const properties = {};
+            columns.forEach(column => {
+                if (column !== 'latitude' && column !== 'longitude') properties[column] = record[column] ?? null;
+            });
+            return {
+                type: 'Feature',
+                id: record.id,
+                geometry: { type: 'Point', coordinates: [Number(record.longitude), Number(record.latitude)] },
+                properties
+            };
+        });
+
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        metadata: exportMetadata(records, filtersDescription),
+        features
+    }, null, 2);
+}
+
+function tombolosToKML(records, filtersDescription) {
+    const metadata = exportMetadata(records, filtersDescription);
+    const columns = exportColumns(records);
+    const xml = value => String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+    const styles = TOMBOLO_RISK_LEVELS.map(level => `
+    <Style id="${level.key}">
+      <IconStyle><color>${kmlColor(level.color)}</color><scale>0.8</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`).join('');
+
+    const placemarks = records
+        .filter(hasCoordinates)
+        .map(record => `
+    <Placemark id="tombolo-${xml(record.id)}">
+      <name>${xml(record.name_en || record.name_gr || `#${record.id}`)}</name>
+      <styleUrl>#${tomboloRiskLevel(record).key}</styleUrl>
+      <ExtendedData>${columns.map(column => `
+        <Data name="${xml(column)}"><value>${xml(record[column])}</value></Data>`).join('')}
+      </ExtendedData>
+      <Point><coordinates>${Number(record.longitude)},${Number(record.latitude)},0</coordinates></Point>
+    </Placemark>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xml(metadata.title)}</name>
+    <description>${xml(`Source: ${metadata.citation} ${metadata.doi}\nFilters: ${metadata.filters}\nExported: ${metadata.exported} (${metadata.count} records)`)}</description>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+// File name built from the active filters, e.g. tombolos_prefecture-cyclades_rcp85-yes_2024-05-01.kml.
+// `transliterate` turns Greek values into lowercase Latin text for portable file names.
+function exportFileName(filters, extension, transliterate = value => String(value).toLowerCase()) {
+    const slug = value => transliterate(value)
+        .replace(/[^a-z0-9.]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    const parts = Object.keys(filters).map(key => {
+        const value = filters[key];
+        if (Array.isArray(value)) return `${key}-${value.map(slug).join('+')}`;
+        return `${key}-${value.min === null ? 'min' : value.min}-${value.max === null ? 'max' : value.max}`;
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    const name = ['tombolos', parts.length > 0 ? parts.join('_') : 'all'].join('_').slice(0, 150);
+    return `${name}_${date}.${extension}`;
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,70 @@
+"""
+Tombolos Web Map - Dataset Export
+Writes the tombolos table from Supabase to data/tombolos.geojson, the bundle the local data source
+(and 'auto' mode without Supabase credentials) reads. Run it whenever the table changed:
+
+    SUPABASE_URL=... SUPABASE_ANON_KEY=... python export_tombolos.py [output.geojson]
+"""
+
+import json
+import os
+import sys
+import urllib.request
+
+BASE_DIR = os.path.dirname(os.path.abspath(__file__))
+OUTPUT = os.path.join(BASE_DIR, "data", "tombolos.geojson")
+SOURCE = ("Maroukian, H. et al. (2024). Sea Level Rise and the Future of Tombolos: The Case of Greece. "
+          "Journal of Marine Science and Engineering, 12(9). https://doi.org/10.3390/jmse12091578")
+BATCH_SIZE = 1000
+
+
+def fetch_rows(url, key):
+    """All rows of the tombolos table, paged through the REST API in id order"""
+    rows = []
+    while True:
+        request = urllib.request.Request(
+            f"{url.rstrip('/')}/rest/v1/tombolos?select=*&order=id&limit={BATCH_SIZE}&offset={len(rows)}",
+            headers={"apikey": key, "Authorization": f"Bearer {key}"},
+        )
+        with urllib.request.urlopen(request, timeout=60) as response:
+            batch = json.load(response)
+        rows.extend(batch)
+        if len(batch) < BATCH_SIZE:
+            return rows
+
+
+def to_feature(row):
+    """Point feature; rows without coordinates keep a null geometry"""
+    has_point = row.get("latitude") is not None and row.get("longitude") is not None
+    return {
+        "type": "Feature",
+        "id": row.get("id"),
+        "geometry": {"type": "Point", "coordinates": [row["longitude"], row["latitude"]]} if has_point else None,
+        "properties": row,
+    }
+
+
+def main():
+    url = os.environ.get("SUPABASE_URL")
+    key = os.environ.get("SUPABASE_ANON_KEY")
+    if not url or not key:
+        sys.exit("❌ Set SUPABASE_URL and SUPABASE_ANON_KEY")
+
+    rows = fetch_rows(url, key)
+    if not rows:
+        sys.exit("❌ The tombolos table returned no rows; the bundle was not overwritten")
+
+    output = sys.argv[1] if len(sys.argv) > 1 else OUTPUT
+    with open(output, "w", encoding="utf-8") as file:
+        json.dump({
+            "type": "FeatureCollection",
+            "name": "tombolos",
+            "source": SOURCE,
+            "features": [to_feature(row) for row in rows],
+        }, file, ensure_ascii=False, indent=1)
+        file.write("\n")
+    print(f"✅ {len(rows)} tombolos written to {output}")
+
+
+if __name__ == "__main__":
+    main()
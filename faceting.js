@@ -0,0 +1,133 @@
+/**
+ * Tombolos Web Map - Faceting Engine
+ * Computes the filter panel options, their result counts and the statistics tab figures
+ * in memory from one copy of the dataset.
+ */
+
+// Filter panel facets in display order; `optionsKey` is the name used in app.filterOptions
+const TOMBOLO_FACETS = [
+    { key: 'prefecture', optionsKey: 'prefectures' },
+    { key: 'island', optionsKey: 'islands' },
+    { key: 'type', optionsKey: 'types' },
+    { key: 'category', optionsKey: 'categories' },
+    { key: 'submerged', optionsKey: 'submerged' },
+    { key: 'subRcp26', optionsKey: 'subRcp26' },
+    { key: 'subRcp85', optionsKey: 'subRcp85' }
+];
+
+class FacetEngine {
+    constructor(records = []) {
+        this.records = records;
+        this.allValues = {};
+        this._indexValues();
+    }
+
+    // Does the record satisfy every selected filter, optionally ignoring one facet?
+    // Numeric range filters always apply.
+    matches(record, filters, exceptKey = null) {
+        return TOMBOLO_FACETS.every(({ key }) => {
+            const values = filterValues(filters[key]);
+            if (key === exceptKey || values.length === 0) return true;
+            return values.includes(this._value(record, key));
+        }) && TOMBOLO_RANGE_COLUMNS.every(column => inRange(record[column], filters[column]));
+    }
+
+    // Smallest and largest value of a numeric column across the whole dataset
+    bounds(column) {
+        const description = this._describe(this.records, column);
+        return description ? { min: description.min, max: description.max } : null;
+    }
+
+    // Records matching all selected filters
+    filter(filters = {}) {
+        return this.records.filter(record => this.matches(record, filters));
+    }
+
+    // Options for every facet as [{ value, count }]. Each facet is counted against the records
+    // matching all the other selections, so the same cross-filter rule applies everywhere.
+    compute(filters = {}) {
+        const result = {};
+
+        TOMBOLO_FACETS.forEach(({ key, optionsKey }) => {
+            const counts = new Map(this.allValues[key].map(value => [value, 0]));
+            this.records.forEach(record => {
+                if (!this.matches(record, filters, key)) return;
+                const value = this._value(record, key);
+                if (value !== null) counts.set(value, (counts.get(value) || 0) + 1);
+            });
+            result[optionsKey] = Array.from(counts, ([value, count]) => ({ value, count }));
+        });
+
+        return result;
+    }
+
+    // Figures for the statistics tab, restricted to the records matching the filters
+    summarize(filters = {}) {
+        const records = this.filter(filters);
+        const countYes = column => records.filter(record => record[column] === 'yes').length;
+
+        return {
+            total: this.records.length,
+            matching: records.length,
+            prefectures: new Set(records.map(record => this._value(record, 'prefecture')).filter(v => v !== null)).size,
+            submerged: countYes('submerged'),
+            atRiskRcp26: countYes('sub_rcp26'),
+            atRiskRcp85: countYes('sub_rcp85'),
+            byPrefecture: this._countBy(records, 'prefecture'),
+            byIsland: this._countBy(records, 'island'),
+            byType: this._countBy(records, 'type'),
+            byCategory: this._countBy(records, 'category'),
+            dimensions: {
+                length_m: this._describe(records, 'length_m'),
+                height_m: this._describe(records, 'height_m'),
+                elevation: this._describe(records, 'elevation')
+            }
+        };
+    }
+
+    // [{ value, count }] sorted by count, largest first
+    _countBy(records, key) {
+        const counts = new Map();
+        records.forEach(record => {
+            const value = this._value(record, key);
+            if (value !== null) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        return Array.from(counts, ([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    }
+
+    // Min/mean/max of a numeric column, or null when no record has a value
+    _describe(records, column) {
+        const values = records
+            .map(record => record[column])
+            .filter(value => value !== null && value !== undefined && value !== '')
+            .map(Number)
+            .filter(Number.isFinite);
+        if (values.length === 0) return null;
+
+        const sum = values.reduce((total, value) => total + value, 0);
+        return {
+            min: Math.min(...values),
+            mean: sum / values.length,
+            max: Math.max(...values),
+            count: values.length
+        };
+    }
+
+    _indexValues() {
+        TOMBOLO_FACETS.forEach(({ key }) => {
+            const unique = new Set();
+            this.records.forEach(record => {
+                const value = this._value(record, key);
+                if (value !== null) unique.add(value);
+            });
+            this.allValues[key] = Array.from(unique).sort((a, b) => String(a).localeCompare(String(b)));
+        });
+    }
+
+    // Column value for a facet, or null when blank; records arrive normalized (normalizeTomboloRecord),
+    // so facets count exactly the values the data source filters compare
+    _value(record, key) {
+        return normalizeTomboloValue(record[TOMBOLO_FILTER_COLUMNS[key]]);
+    }
+}
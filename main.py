@@ -63,6 +63,34 @@ async def serve_config_js():
 async def serve_auth_js():
     return FileResponse(os.path.join(STATIC_DIR, "auth.js"), media_type="application/javascript")
 
+@app.get("/data-sources.js")
+async def serve_data_sources_js():
+    return FileResponse(os.path.join(STATIC_DIR, "data-sources.js"), media_type="application/javascript")
+
+@app.get("/offline-cache.js")
+async def serve_offline_cache_js():
+    return FileResponse(os.path.join(STATIC_DIR, "offline-cache.js"), media_type="application/javascript")
+
+@app.get("/sw.js")
+async def serve_service_worker():
+    return FileResponse(os.path.join(STATIC_DIR, "sw.js"), media_type="application/javascript")
+
+@app.get("/faceting.js")
+async def serve_faceting_js():
+    return FileResponse(os.path.join(STATIC_DIR, "faceting.js"), media_type="application/javascript")
+
+@app.get("/url-state.js")
+async def serve_url_state_js():
+    return FileResponse(os.path.join(STATIC_DIR, "url-state.js"), media_type="application/javascript")
+
+@app.get("/search.js")
+async def serve_search_js():
+    return FileResponse(os.path.join(STATIC_DIR, "search.js"), media_type="application/javascript")
+
+@app.get("/export.js")
+async def serve_export_js():
+    return FileResponse(os.path.join(STATIC_DIR, "export.js"), media_type="application/javascript")
+
 @app.get("/simple-dropdown-limit.js")
 async def serve_dropdown_js():
     return FileResponse(os.path.join(STATIC_DIR, "simple-dropdown-limit.js"), media_type="application/javascript")
@@ -71,6 +99,66 @@ async def serve_dropdown_js():
 async def serve_measurement_js():
     return FileResponse(os.path.join(STATIC_DIR, "measurement-tool.js"), media_type="application/javascript")
 
+@app.get("/proximity.js")
+async def serve_proximity_js():
+    return FileResponse(os.path.join(STATIC_DIR, "proximity.js"), media_type="application/javascript")
+
+@app.get("/scenario.js")
+async def serve_scenario_js():
+    return FileResponse(os.path.join(STATIC_DIR, "scenario.js"), media_type="application/javascript")
+
+@app.get("/thematic-style.js")
+async def serve_thematic_style_js():
+    return FileResponse(os.path.join(STATIC_DIR, "thematic-style.js"), media_type="application/javascript")
+
+@app.get("/results-table.js")
+async def serve_results_table_js():
+    return FileResponse(os.path.join(STATIC_DIR, "results-table.js"), media_type="application/javascript")
+
+@app.get("/tombolo-editor.js")
+async def serve_tombolo_editor_js():
+    return FileResponse(os.path.join(STATIC_DIR, "tombolo-editor.js"), media_type="application/javascript")
+
+@app.get("/tombolo-import.js")
+async def serve_tombolo_import_js():
+    return FileResponse(os.path.join(STATIC_DIR, "tombolo-import.js"), media_type="application/javascript")
+
+@app.get("/session-monitor.js")
+async def serve_session_monitor_js():
+    return FileResponse(os.path.join(STATIC_DIR, "session-monitor.js"), media_type="application/javascript")
+
+@app.get("/admin-login.html", response_class=HTMLResponse)
+async def admin_login():
+    return FileResponse(os.path.join(STATIC_DIR, "admin-login.html"), media_type="text/html")
+
+@app.get("/admin-login.js")
+async def serve_admin_login_js():
+    return FileResponse(os.path.join(STATIC_DIR, "admin-login.js"), media_type="application/javascript")
+
+@app.get("/admin-users.html", response_class=HTMLResponse)
+async def admin_users():
+    return FileResponse(os.path.join(STATIC_DIR, "admin-users.html"), media_type="text/html")
+
+@app.get("/admin-users.js")
+async def serve_admin_users_js():
+    return FileResponse(os.path.join(STATIC_DIR, "admin-users.js"), media_type="application/javascript")
+
+@app.get("/reset-password.html", response_class=HTMLResponse)
+async def reset_password():
+    return FileResponse(os.path.join(STATIC_DIR, "reset-password.html"), media_type="text/html")
+
+@app.get("/reset-password.js")
+async def serve_reset_password_js():
+    return FileResponse(os.path.join(STATIC_DIR, "reset-password.js"), media_type="application/javascript")
+
+@app.get("/account.html", response_class=HTMLResponse)
+async def account():
+    return FileResponse(os.path.join(STATIC_DIR, "account.html"), media_type="text/html")
+
+@app.get("/account.js")
+async def serve_account_js():
+    return FileResponse(os.path.join(STATIC_DIR, "account.js"), media_type="application/javascript")
+
 @app.get("/favicon.svg")
 async def favicon():
     return FileResponse(os.path.join(STATIC_DIR, "favicon.svg"), media_type="image/svg+xml")
@@ -83,6 +171,11 @@ async def favicon_ico():
     return FileResponse(os.path.join(STATIC_DIR, "favicon.svg"), media_type="image/svg+xml")
 
 
+@app.get("/data/{filename}")
+async def serve_data_file(filename: str):
+    return FileResponse(os.path.join(STATIC_DIR, "data", os.path.basename(filename)))
+
+
 # Also mount static directory for any other files
 app.mount("/static", StaticFiles(directory=STATIC_DIR), name="static")
 
@@ -1,17 +1,79 @@
 /**
  * Custom Measurement Tool for Leaflet Maps
- * Provides distance and area measurement with intuitive UI
+ * Provides distance and area measurement with intuitive UI.
+ * Lengths are geodesic distances on the WGS84 ellipsoid and areas are computed on the ellipsoid's
+ * authalic (equal-area) sphere, so results hold at Greek latitudes rather than on raw degrees.
+ * Finished measurements are kept in a labelled collection that is stored in localStorage and can be
+ * exported as GeoJSON. Points snap to nearby tombolo markers, which attaches the measurement to that
+ * tombolo so the measured length can be checked against its recorded dimensions.
  */
 
+// WGS84 ellipsoid
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+
+// Radius of the sphere with the same surface area as the ellipsoid
+const AUTHALIC_RADIUS = (() => {
+    const e = Math.sqrt(WGS84_E2);
+    return WGS84_A * Math.sqrt((1 + (1 - WGS84_E2) / (2 * e) * Math.log((1 + e) / (1 - e))) / 2);
+})();
+
+// localStorage key of the saved measurements and unit choice
+const MEASUREMENTS_STORAGE_KEY = 'tombolos-measurements';
+
+// Screen distance (px) within which a point snaps to a tombolo marker
+const MEASUREMENT_SNAP_PIXELS = 15;
+
+// Recorded dimensions a line measurement can be compared with
+const MEASUREMENT_COMPARE_FIELDS = ['length_m', 'width_tombolo_m', 'width_continent_m', 'width_island_m'];
+
+// Relative difference from the recorded value above which the value is flagged as suspect
+const MEASUREMENT_MISMATCH_RATIO = 0.2;
+
+// Great-circle distance in metres between two lat/lng points (Haversine formula on the authalic sphere)
+function haversineDistance(latlng1, latlng2) {
+    const toRad = Math.PI / 180;
+    const dLat = (latlng2.lat - latlng1.lat) * toRad;
+    const dLng = (latlng2.lng - latlng1.lng) * toRad;
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(latlng1.lat * toRad) * Math.cos(latlng2.lat * toRad) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return AUTHALIC_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Display units: factor converts from metres / square metres
+const MEASUREMENT_DISTANCE_UNITS = {
+    m: { label: 'm', factor: 1, digits: 0 },
+    km: { label: 'km', factor: 1000, digits: 3 },
+    nmi: { label: 'nmi', factor: 1852, digits: 3 }
+};
+const MEASUREMENT_AREA_UNITS = {
+    m2: { label: 'm²', factor: 1, digits: 0 },
+    ha: { label: 'ha', factor: 10000, digits: 2 },
+    km2: { label: 'km²', factor: 1000000, digits: 4 }
+};
+
 class MeasurementTool {
-    constructor(map) {
+    constructor(map, app = null) {
         this.map = map;
+        this.app = app;
         this.isActive = false;
+        this.mode = 'line';
         this.points = [];
-        this.polyline = null;
+        this.shape = null;
         this.markers = [];
+        this.segmentLabels = [];
         this.totalDistance = 0;
         this.area = 0;
+        this.distanceUnit = 'm';
+        this.areaUnit = 'ha';
+        this.label = '';
+        this.tombolo = null;
+        this.dimension = 'length_m';
+        this.measurements = [];
+        this.savedLayers = new Map();
         this.infoDisplay = null;
         this.control = null;
         
@@ -21,6 +83,7 @@ class MeasurementTool {
     init() {
         this.createControl();
         this.setupMapEvents();
+        this.restore();
     }
     
     createControl() {
@@ -39,14 +102,15 @@ class MeasurementTool {
                 
                 const clearBtn = L.DomUtil.create('button', 'measurement-btn measurement-clear-btn', container);
                 clearBtn.innerHTML = '✕';
-                clearBtn.title = 'Clear measurements';
-                clearBtn.setAttribute('aria-label', 'Clear measurements');
+                clearBtn.title = 'Discard the current measurement and close';
+                clearBtn.setAttribute('aria-label', 'Discard the current measurement');
                 clearBtn.style.display = 'none';
                 
                 toggleBtn.addEventListener('click', () => {
                     this.toggle();
                     toggleBtn.classList.toggle('active');
                     clearBtn.style.display = this.isActive ? 'block' : 'none';
+                    if (this.isActive) this.showInfo();
                 });
                 
                 clearBtn.addEventListener('click', () => {
@@ -75,6 +139,15 @@ class MeasurementTool {
                 this.addPoint(e.latlng);
             }
         });
+        
+        // Ctrl/Cmd+Z or Backspace removes the last point while measuring
+        document.addEventListener('keydown', (e) => {
+            if (!this.isActive || e.target.closest('input, select, textarea')) return;
+            if (e.key === 'Backspace' || ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z')) {
+                e.preventDefault();
+                this.undo();
+            }
+        });
     }
     
     toggle() {
@@ -87,88 +160,343 @@ class MeasurementTool {
     }
     
     addPoint(latlng) {
+        const target = this.findSnapTarget(latlng);
+        if (target) {
+            latlng = target.latlng;
+            if (!this.tombolo) this.attachTombolo(target.tomboloId);
+        }
         this.points.push(latlng);
-        
-        // Create marker
-        const marker = L.circleMarker(latlng, {
-            radius: 6,
-            fillColor: '#0066ff',
-            color: '#ffffff',
-            weight: 2,
-            opacity: 1,
-            fillOpacity: 0.8
+        this.markers.push(this.createVertex(latlng));
+        this.redraw();
+    }
+    
+    // Draggable vertex; dragging moves its point and updates the measurement live
+    createVertex(latlng) {
+        const marker = L.marker(latlng, {
+            draggable: true,
+            keyboard: false,
+            icon: L.divIcon({ className: 'measurement-vertex', iconSize: [12, 12] })
         }).addTo(this.map);
         
-        this.markers.push(marker);
-        
-        // Update polyline
-        if (this.points.length > 1) {
-            if (this.polyline) {
-                this.polyline.setLatLngs(this.points);
-            } else {
-                this.polyline = L.polyline(this.points, {
-                    color: '#0066ff',
-                    weight: 2,
-                    opacity: 0.7,
-                    dashArray: '5, 5'
-                }).addTo(this.map);
+        marker.on('drag', () => {
+            const index = this.markers.indexOf(marker);
+            if (index === -1) return;
+            this.points[index] = marker.getLatLng();
+            this.redraw();
+        });
+        marker.on('dragend', () => {
+            const index = this.markers.indexOf(marker);
+            const target = this.findSnapTarget(marker.getLatLng());
+            if (index === -1 || !target) return;
+            marker.setLatLng(target.latlng);
+            this.points[index] = target.latlng;
+            if (!this.tombolo) this.attachTombolo(target.tomboloId);
+            this.redraw();
+        });
+        // Handling the click keeps it from reaching the map (which would add a point here);
+        // clicking the first point of a path closes it into a polygon
+        marker.on('click', () => {
+            if (this.markers.indexOf(marker) === 0 && this.points.length >= 3) this.setMode('polygon');
+        });
+        return marker;
+    }
+    
+    // Nearest visible tombolo marker (see app.updateMap) within MEASUREMENT_SNAP_PIXELS of a point,
+    // as { latlng, tomboloId }, or null
+    findSnapTarget(latlng) {
+        const cluster = this.app && this.app.markerCluster;
+        if (!cluster) return null;
+        
+        const point = this.map.latLngToContainerPoint(latlng);
+        let best = null;
+        cluster.getLayers().forEach(layer => {
+            if (layer.options.tomboloId === undefined || cluster.getVisibleParent(layer) !== layer) return;
+            const distance = point.distanceTo(this.map.latLngToContainerPoint(layer.getLatLng()));
+            if (distance <= MEASUREMENT_SNAP_PIXELS && (!best || distance < best.distance)) {
+                best = { distance, latlng: layer.getLatLng(), tomboloId: layer.options.tomboloId };
             }
+        });
+        return best;
+    }
+    
+    // Link the current measurement to a tombolo, keeping its name and recorded dimensions
+    async attachTombolo(tomboloId) {
+        try {
+            const record = this.app.tomboloDetailsCache.get(String(tomboloId)) || await this.app.dataSource.getTomboloById(tomboloId);
+            if (!record || this.points.length === 0) return;
+            
+            this.tombolo = { id: record.id, name_en: record.name_en || null };
+            MEASUREMENT_COMPARE_FIELDS.forEach(key => { this.tombolo[key] = record[key] ?? null; });
+            this.showInfo();
+        } catch (error) {
+            console.warn('⚠️ Could not load tombolo for measurement:', error);
         }
+    }
+    
+    // Measured length against a recorded value: { recorded, difference, ratio, suspect }, or null when not recorded
+    compare(length, recorded) {
+        if (recorded === null || recorded === undefined || recorded === '' || !Number.isFinite(Number(recorded))) return null;
         
+        const value = Number(recorded);
+        const difference = length - value;
+        const ratio = value > 0 ? difference / value : null;
+        return {
+            recorded: value,
+            difference,
+            ratio,
+            suspect: ratio === null ? length > 0 : Math.abs(ratio) > MEASUREMENT_MISMATCH_RATIO
+        };
+    }
+    
+    formatDifference(comparison) {
+        const sign = comparison.difference >= 0 ? '+' : '−';
+        const percent = comparison.ratio === null ? '' : ` (${sign}${Math.abs(comparison.ratio * 100).toFixed(1)}%)`;
+        return `${sign}${this.formatDistance(Math.abs(comparison.difference))}${percent}`;
+    }
+    
+    fieldLabel(key) {
+        const field = TOMBOLO_FIELDS.find(item => item.key === key);
+        return field ? field.label : key;
+    }
+    
+    // Attached tombolo and the comparison of the measured length with the chosen recorded dimension
+    renderTomboloComparison() {
+        if (!this.tombolo) return '';
+        
+        let html = `
+            <div class="measurement-tombolo">
+                <div class="measurement-tombolo-name">
+                    <span>📍 ${this.escapeHtml(this.tombolo.name_en || `Tombolo #${this.tombolo.id}`)}</span>
+                    <button class="measurement-icon-btn" data-action="detach" title="Detach from this tombolo">✕</button>
+                </div>
+        `;
+        
+        if (this.mode !== 'line') {
+            html += '<div class="measurement-hint">Use line mode to compare with the recorded dimensions</div></div>';
+            return html;
+        }
+        
+        const options = MEASUREMENT_COMPARE_FIELDS.map(key => {
+            const recorded = this.tombolo[key];
+            const value = recorded === null || recorded === undefined ? '–' : this.formatDistance(Number(recorded));
+            return `<option value="${key}"${key === this.dimension ? ' selected' : ''}>${this.fieldLabel(key)}: ${value}</option>`;
+        }).join('');
+        html += `<select name="dimension" class="measurement-dimension" aria-label="Compare with">${options}</select>`;
+        
+        const comparison = this.compare(this.totalDistance, this.tombolo[this.dimension]);
+        if (!comparison) {
+            html += '<div class="measurement-stat">No recorded value</div>';
+        } else if (this.totalDistance > 0) {
+            html += `
+                <div class="measurement-stat measurement-compare${comparison.suspect ? ' suspect' : ''}"${comparison.suspect ? ` title="Differs from the recorded value by more than ${MEASUREMENT_MISMATCH_RATIO * 100}%"` : ''}>
+                    Δ ${this.formatDifference(comparison)}${comparison.suspect ? ' ⚠ check recorded value' : ''}
+                </div>
+            `;
+        }
+        return html + '</div>';
+    }
+    
+    // Measured values next to the recorded dimensions in the tombolo details (called by displayTomboloModal)
+    decorateDetails(tombolo) {
+        const container = this.app.modalElements.detailsContainer;
+        this.measurements
+            .filter(item => item.mode === 'line' && item.tombolo && String(item.tombolo.id) === String(tombolo.id))
+            .forEach(item => {
+                const value = container.querySelector(`.detail-item[data-field="${item.dimension}"] .detail-value`);
+                if (!value) return;
+                
+                const { length } = this.measure(this.toLatLngs(item.points), item.mode);
+                const comparison = this.compare(length, tombolo[item.dimension]);
+                const note = document.createElement('div');
+                note.className = `detail-measured${comparison && comparison.suspect ? ' suspect' : ''}`;
+                note.textContent = `📏 ${item.label}: ${this.formatDistance(length)}` +
+                    (comparison ? ` (${this.formatDifference(comparison)})` : '') +
+                    (comparison && comparison.suspect ? ' ⚠' : '');
+                if (comparison && comparison.suspect) {
+                    note.title = `Differs from the recorded value by more than ${MEASUREMENT_MISMATCH_RATIO * 100}%`;
+                }
+                value.appendChild(note);
+            });
+    }
+    
+    // Remove the last point
+    undo() {
+        if (this.points.length === 0) return;
+        this.points.pop();
+        this.map.removeLayer(this.markers.pop());
+        this.redraw();
+    }
+    
+    // 'line' measures a path, 'polygon' closes it and adds the area
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        if (this.shape) {
+            this.map.removeLayer(this.shape);
+            this.shape = null;
+        }
+        this.redraw();
+    }
+    
+    redraw() {
         this.updateMeasurements();
+        this.drawShape();
+        this.drawSegmentLabels();
         this.showInfo();
     }
     
-    updateMeasurements() {
-        if (this.points.length < 2) {
-            this.totalDistance = 0;
-            this.area = 0;
+    drawShape() {
+        const minimum = this.mode === 'polygon' ? 3 : 2;
+        if (this.points.length < minimum) {
+            if (this.shape) {
+                this.map.removeLayer(this.shape);
+                this.shape = null;
+            }
+            // Two polygon points still show the edge being drawn
+            if (this.points.length === 2) {
+                this.shape = this.createShape(L.polyline);
+            }
             return;
         }
         
-        // Calculate total distance
-        this.totalDistance = 0;
-        for (let i = 0; i < this.points.length - 1; i++) {
-            this.totalDistance += this.getDistance(this.points[i], this.points[i + 1]);
+        if (this.shape && (this.mode === 'polygon') !== (this.shape instanceof L.Polygon)) {
+            this.map.removeLayer(this.shape);
+            this.shape = null;
         }
-        
-        // Calculate area if 3+ points
-        if (this.points.length >= 3) {
-            this.area = this.getArea(this.points);
+        if (this.shape) {
+            this.shape.setLatLngs(this.points);
         } else {
-            this.area = 0;
+            this.shape = this.createShape(this.mode === 'polygon' ? L.polygon : L.polyline);
         }
     }
     
+    createShape(factory) {
+        // Not interactive, so clicks on the shape still add points
+        return factory(this.points, {
+            color: '#0066ff',
+            weight: 2,
+            opacity: 0.7,
+            dashArray: '5, 5',
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(this.map);
+    }
+    
+    // Length of every segment at its midpoint, including the closing edge of a polygon
+    drawSegmentLabels() {
+        this.segmentLabels.forEach(label => this.map.removeLayer(label));
+        this.segmentLabels = [];
+        
+        this.getSegments().forEach(([from, to]) => {
+            const midpoint = L.latLng((from.lat + to.lat) / 2, (from.lng + to.lng) / 2);
+            const label = L.marker(midpoint, {
+                interactive: false,
+                keyboard: false,
+                icon: L.divIcon({
+                    className: 'measurement-segment-label',
+                    html: `<span>${this.formatDistance(this.getDistance(from, to))}</span>`,
+                    iconSize: null
+                })
+            }).addTo(this.map);
+            this.segmentLabels.push(label);
+        });
+    }
+    
+    getSegments(points = this.points, mode = this.mode) {
+        const segments = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            segments.push([points[i], points[i + 1]]);
+        }
+        if (mode === 'polygon' && points.length >= 3) {
+            segments.push([points[points.length - 1], points[0]]);
+        }
+        return segments;
+    }
+    
+    // Path length or polygon perimeter (metres) and polygon area (square metres)
+    measure(points, mode) {
+        return {
+            length: this.getSegments(points, mode).reduce((sum, [from, to]) => sum + this.getDistance(from, to), 0),
+            area: mode === 'polygon' ? this.getArea(points) : 0
+        };
+    }
+    
+    updateMeasurements() {
+        const { length, area } = this.measure(this.points, this.mode);
+        this.totalDistance = length;
+        this.area = area;
+    }
+    
+    // Geodesic distance in metres on the WGS84 ellipsoid (Vincenty's inverse formula)
     getDistance(latlng1, latlng2) {
-        // Haversine formula for distance between two points
-        const R = 6371; // Earth's radius in km
-        const dLat = (latlng2.lat - latlng1.lat) * Math.PI / 180;
-        const dLng = (latlng2.lng - latlng1.lng) * Math.PI / 180;
-        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-                  Math.cos(latlng1.lat * Math.PI / 180) * Math.cos(latlng2.lat * Math.PI / 180) *
-                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
+        const toRad = Math.PI / 180;
+        const L1 = (latlng2.lng - latlng1.lng) * toRad;
+        const U1 = Math.atan((1 - WGS84_F) * Math.tan(latlng1.lat * toRad));
+        const U2 = Math.atan((1 - WGS84_F) * Math.tan(latlng2.lat * toRad));
+        const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+        const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+        
+        let lambda = L1;
+        let sinSigma, cosSigma, sigma, cos2Alpha, cos2SigmaM;
+        for (let iteration = 0; iteration < 200; iteration++) {
+            const sinLambda = Math.sin(lambda), cosLambda = Math.cos(lambda);
+            sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+            if (sinSigma === 0) return 0;
+            cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+            sigma = Math.atan2(sinSigma, cosSigma);
+            const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+            cos2Alpha = 1 - sinAlpha * sinAlpha;
+            cos2SigmaM = cos2Alpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cos2Alpha : 0;
+            const C = WGS84_F / 16 * cos2Alpha * (4 + WGS84_F * (4 - 3 * cos2Alpha));
+            const previous = lambda;
+            lambda = L1 + (1 - C) * WGS84_F * sinAlpha *
+                (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+            if (Math.abs(lambda - previous) < 1e-12) {
+                const u2 = cos2Alpha * (WGS84_A * WGS84_A - WGS84_B * WGS84_B) / (WGS84_B * WGS84_B);
+                const A = 1 + u2 / 16384 * (4096 + u2 * (-768 + u2 * (320 - 175 * u2)));
+                const B = u2 / 1024 * (256 + u2 * (-128 + u2 * (74 - 47 * u2)));
+                const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                    B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+                return WGS84_B * A * (sigma - deltaSigma);
+            }
+        }
+        
+        // Nearly antipodal points do not converge; the great-circle distance is close enough there
+        return haversineDistance(latlng1, latlng2);
     }
     
+    // Polygon area in square metres: latitudes are converted to authalic latitudes so the
+    // spherical formula on the authalic sphere gives the ellipsoidal area
     getArea(points) {
-        // Shoelace formula for polygon area
         if (points.length < 3) return 0;
         
+        const toRad = Math.PI / 180;
+        const e2 = WGS84_E2, e4 = e2 * e2, e6 = e4 * e2;
+        const authalic = (lat) => {
+            const phi = lat * toRad;
+            return phi - (e2 / 3 + 31 * e4 / 180 + 517 * e6 / 5040) * Math.sin(2 * phi) +
+                (23 * e4 / 360 + 251 * e6 / 3780) * Math.sin(4 * phi) -
+                (761 * e6 / 45360) * Math.sin(6 * phi);
+        };
+
         let area = 0;
         for (let i = 0; i < points.length; i++) {
-            const j = (i + 1) % points.length;
-            area += points[i].lng * points[j].lat;
-            area -= points[j].lng * points[i].lat;
+            const p1 = points[i];
+            const p2 = points[(i + 1) % points.length];
+            area += (p2.lng - p1.lng) * toRad * (Math.sin(authalic(p1.lat)) + Math.sin(authalic(p2.lat)));
         }
         
-        // Convert to km²
-        const R = 6371;
-        area = Math.abs(area) / 2;
-        area = area * (Math.PI / 180) * R * R;
-        
-        return area;
+        return Math.abs(area) * AUTHALIC_RADIUS * AUTHALIC_RADIUS / 2;
+    }
+    
+    formatDistance(meters) {
+        const unit = MEASUREMENT_DISTANCE_UNITS[this.distanceUnit];
+        return `${(meters / unit.factor).toLocaleString(undefined, { maximumFractionDigits: unit.digits })} ${unit.label}`;
+    }
+    
+    formatArea(squareMeters) {
+        const unit = MEASUREMENT_AREA_UNITS[this.areaUnit];
+        return `${(squareMeters / unit.factor).toLocaleString(undefined, { maximumFractionDigits: unit.digits })} ${unit.label}`;
     }
     
     showInfo() {
@@ -176,48 +504,353 @@ class MeasurementTool {
             this.infoDisplay = L.control({ position: 'topright' });
             this.infoDisplay.onAdd = () => {
                 const div = L.DomUtil.create('div', 'measurement-info');
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                
+                // The content is re-rendered on every change, so listen on the container
+                div.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-action]');
+                    if (!button) return;
+                    const id = button.dataset.id;
+                    switch (button.dataset.action) {
+                        case 'undo': this.undo(); break;
+                        case 'mode': this.setMode(button.dataset.mode); break;
+                        case 'new': this.startNew(); break;
+                        case 'edit': this.editSaved(id); break;
+                        case 'zoom': this.zoomToSaved(id); break;
+                        case 'delete': this.deleteSaved(id); break;
+                        case 'export': this.exportGeoJSON(); break;
+                        case 'detach':
+                            this.tombolo = null;
+                            this.showInfo();
+                            break;
+                    }
+                });
+                div.addEventListener('change', (e) => {
+                    const { name, value } = e.target;
+                    if (name === 'label') {
+                        this.label = value;
+                        return;
+                    }
+                    if (name === 'saved-label') {
+                        this.renameSaved(e.target.dataset.id, value);
+                        return;
+                    }
+                    if (name === 'dimension') {
+                        this.dimension = value;
+                        this.showInfo();
+                        return;
+                    }
+                    if (name === 'distance-unit') this.distanceUnit = value;
+                    if (name === 'area-unit') this.areaUnit = value;
+                    this.persist();
+                    this.refreshSaved();
+                    this.redraw();
+                });
+                
                 this.infoDiv = div;
                 return div;
             };
             this.infoDisplay.addTo(this.map);
         }
         
+        const unitOptions = (units, selected) => Object.keys(units)
+            .map(key => `<option value="${key}"${key === selected ? ' selected' : ''}>${units[key].label}</option>`)
+            .join('');
+        const modeButton = (mode, label) =>
+            `<button class="measurement-mode-btn${this.mode === mode ? ' active' : ''}" data-action="mode" data-mode="${mode}" aria-pressed="${this.mode === mode}">${label}</button>`;
+        
         let html = '<div class="measurement-info-content">';
         html += `<div class="measurement-title">Measurement</div>`;
+        html += `<div class="measurement-modes">${modeButton('line', 'Line')}${modeButton('polygon', 'Polygon')}</div>`;
         html += `<div class="measurement-stat">Points: ${this.points.length}</div>`;
         
         if (this.totalDistance > 0) {
-            const km = this.totalDistance.toFixed(2);
-            const m = (this.totalDistance * 1000).toFixed(0);
-            html += `<div class="measurement-stat">Distance: ${km} km (${m} m)</div>`;
+            const label = this.mode === 'polygon' && this.points.length >= 3 ? 'Perimeter' : 'Distance';
+            html += `<div class="measurement-stat">${label}: ${this.formatDistance(this.totalDistance)}</div>`;
         }
         
         if (this.area > 0) {
-            const km2 = this.area.toFixed(2);
-            const hectares = (this.area * 100).toFixed(2);
-            html += `<div class="measurement-stat">Area: ${km2} km² (${hectares} ha)</div>`;
+            html += `<div class="measurement-stat">Area: ${this.formatArea(this.area)}</div>`;
         }
         
-        html += '<div class="measurement-hint">Click map to add points • Click ✕ to clear</div>';
+        html += this.renderTomboloComparison();
+        
+        html += `
+            <div class="measurement-units">
+                <select name="distance-unit" aria-label="Distance unit">${unitOptions(MEASUREMENT_DISTANCE_UNITS, this.distanceUnit)}</select>
+                <select name="area-unit" aria-label="Area unit">${unitOptions(MEASUREMENT_AREA_UNITS, this.areaUnit)}</select>
+                <button class="measurement-mode-btn" data-action="undo"${this.points.length === 0 ? ' disabled' : ''}>Undo</button>
+            </div>
+        `;
+        html += `
+            <div class="measurement-units">
+                <input type="text" name="label" class="measurement-label-input" placeholder="Measurement ${this.measurements.length + 1}" value="${this.escapeHtml(this.label)}" aria-label="Label">
+                <button class="measurement-mode-btn" data-action="new"${this.canSave() ? '' : ' disabled'} title="Keep this measurement and start a new one">Save &amp; new</button>
+            </div>
+        `;
+        html += this.renderSavedList();
+        html += '<div class="measurement-hint">Click map to add points • Drag points to move them • Click the first point to close • Click ✕ to discard</div>';
         html += '</div>';
         
         this.infoDiv.innerHTML = html;
     }
     
-    clear() {
+    renderSavedList() {
+        if (this.measurements.length === 0) return '';
+        
+        const items = this.measurements.map(measurement => {
+            const { length, area } = this.measure(this.toLatLngs(measurement.points), measurement.mode);
+            let summary = this.formatDistance(length) + (measurement.mode === 'polygon' ? ` • ${this.formatArea(area)}` : '');
+            if (measurement.tombolo) {
+                const comparison = measurement.mode === 'line' ? this.compare(length, measurement.tombolo[measurement.dimension]) : null;
+                summary += ` • 📍 ${this.escapeHtml(measurement.tombolo.name_en || `#${measurement.tombolo.id}`)}`;
+                if (comparison && comparison.suspect) summary += ' <span class="measurement-flag" title="Differs from the recorded value">⚠</span>';
+            }
+            const id = this.escapeHtml(measurement.id);
+            return `
+                <li class="measurement-saved-item">
+                    <input type="text" name="saved-label" data-id="${id}" value="${this.escapeHtml(measurement.label)}" aria-label="Label">
+                    <span class="measurement-saved-summary">${summary}</span>
+                    <button class="measurement-icon-btn" data-action="zoom" data-id="${id}" title="Zoom to">⌖</button>
+                    <button class="measurement-icon-btn" data-action="edit" data-id="${id}" title="Edit">✎</button>
+                    <button class="measurement-icon-btn" data-action="delete" data-id="${id}" title="Delete">✕</button>
+                </li>`;
+        }).join('');
+        
+        return `
+            <div class="measurement-saved">
+                <div class="measurement-saved-header">
+                    <span>Saved (${this.measurements.length})</span>
+                    <button class="measurement-mode-btn" data-action="export">Export GeoJSON</button>
+                </div>
+                <ul class="measurement-saved-list">${items}</ul>
+            </div>
+        `;
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+    
+    toLatLngs(points) {
+        return points.map(([lat, lng]) => L.latLng(lat, lng));
+    }
+    
+    canSave() {
+        return this.points.length >= (this.mode === 'polygon' ? 3 : 2);
+    }
+    
+    // Move the current measurement into the collection; returns it, or null when it has too few points
+    saveCurrent() {
+        if (!this.canSave()) return null;
+        
+        const measurement = {
+            id: `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            label: this.label.trim() || `Measurement ${this.measurements.length + 1}`,
+            mode: this.mode,
+            points: this.points.map(point => [Number(point.lat.toFixed(7)), Number(point.lng.toFixed(7))]),
+            tombolo: this.tombolo,
+            dimension: this.dimension,
+            created: new Date().toISOString()
+        };
+        this.measurements.push(measurement);
+        this.drawSaved(measurement);
+        this.persist();
+        return measurement;
+    }
+    
+    // Keep the current measurement and start an empty one
+    startNew() {
+        this.saveCurrent();
+        this.resetCurrent();
+        this.redraw();
+    }
+    
+    // Move a saved measurement back into the editable one (the current one is saved first)
+    editSaved(id) {
+        const measurement = this.measurements.find(item => item.id === id);
+        if (!measurement) return;
+        
+        this.saveCurrent();
+        this.resetCurrent();
+        this.removeSaved(id);
+        
+        this.mode = measurement.mode;
+        this.label = measurement.label;
+        this.tombolo = measurement.tombolo || null;
+        this.dimension = measurement.dimension || 'length_m';
+        this.toLatLngs(measurement.points).forEach(latlng => {
+            this.points.push(latlng);
+            this.markers.push(this.createVertex(latlng));
+        });
+        if (!this.isActive) {
+            this.toggle();
+            if (this.toggleBtn) this.toggleBtn.classList.add('active');
+            if (this.clearBtn) this.clearBtn.style.display = 'block';
+        }
+        this.redraw();
+    }
+    
+    deleteSaved(id) {
+        this.removeSaved(id);
+        this.showInfo();
+    }
+    
+    removeSaved(id) {
+        this.measurements = this.measurements.filter(item => item.id !== id);
+        const layer = this.savedLayers.get(id);
+        if (layer) this.map.removeLayer(layer);
+        this.savedLayers.delete(id);
+        this.persist();
+    }
+    
+    renameSaved(id, label) {
+        const measurement = this.measurements.find(item => item.id === id);
+        if (!measurement) return;
+        measurement.label = label.trim() || measurement.label;
+        this.drawSaved(measurement);
+        this.persist();
+    }
+    
+    zoomToSaved(id) {
+        const layer = this.savedLayers.get(id);
+        if (layer) this.map.fitBounds(layer.getBounds(), { maxZoom: 17, padding: [40, 40] });
+    }
+    
+    // Draw (or redraw) a saved measurement with a permanent label
+    drawSaved(measurement) {
+        const previous = this.savedLayers.get(measurement.id);
+        if (previous) this.map.removeLayer(previous);
+        
+        const latlngs = this.toLatLngs(measurement.points);
+        const { length, area } = this.measure(latlngs, measurement.mode);
+        const factory = measurement.mode === 'polygon' ? L.polygon : L.polyline;
+        const layer = factory(latlngs, {
+            color: '#0066ff',
+            weight: 2,
+            opacity: 0.8,
+            fillOpacity: 0.08,
+            interactive: false
+        }).bindTooltip(
+            `${this.escapeHtml(measurement.label)}: ${this.formatDistance(length)}` +
+            (measurement.mode === 'polygon' ? `, ${this.formatArea(area)}` : ''),
+            { permanent: true, direction: 'center', className: 'measurement-saved-label' }
+        ).addTo(this.map);
+        
+        this.savedLayers.set(measurement.id, layer);
+    }
+    
+    // Redraw saved labels, e.g. after a unit change
+    refreshSaved() {
+        this.measurements.forEach(measurement => this.drawSaved(measurement));
+    }
+    
+    persist() {
+        try {
+            localStorage.setItem(MEASUREMENTS_STORAGE_KEY, JSON.stringify({
+                units: { distance: this.distanceUnit, area: this.areaUnit },
+                measurements: this.measurements
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not store measurements:', error);
+        }
+    }
+    
+    restore() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(MEASUREMENTS_STORAGE_KEY) || 'null');
+            if (!stored) return;
+            
+            if (stored.units) {
+                if (MEASUREMENT_DISTANCE_UNITS[stored.units.distance]) this.distanceUnit = stored.units.distance;
+                if (MEASUREMENT_AREA_UNITS[stored.units.area]) this.areaUnit = stored.units.area;
+            }
+            this.measurements = (stored.measurements || []).filter(item =>
+                item && item.id && Array.isArray(item.points) && item.points.length >= 2);
+            this.refreshSaved();
+            if (this.measurements.length > 0) console.log(`📏 Restored ${this.measurements.length} saved measurements`);
+        } catch (error) {
+            console.warn('⚠️ Could not restore saved measurements:', error);
+        }
+    }
+    
+    // Saved measurements as GeoJSON with their computed lengths and areas (metres, square metres)
+    toGeoJSON() {
+        const features = this.measurements.map(measurement => {
+            const latlngs = this.toLatLngs(measurement.points);
+            const { length, area } = this.measure(latlngs, measurement.mode);
+            const coordinates = measurement.points.map(([lat, lng]) => [lng, lat]);
+            const polygon = measurement.mode === 'polygon';
+            const tombolo = measurement.tombolo;
+            const comparison = tombolo && !polygon ? this.compare(length, tombolo[measurement.dimension]) : null;
+            
+            return {
+                type: 'Feature',
+                id: measurement.id,
+                geometry: polygon
+                    ? { type: 'Polygon', coordinates: [coordinates.concat([coordinates[0]])] }
+                    : { type: 'LineString', coordinates },
+                properties: {
+                    label: measurement.label,
+                    mode: measurement.mode,
+                    [polygon ? 'perimeter_m' : 'length_m']: Number(length.toFixed(2)),
+                    area_m2: polygon ? Number(area.toFixed(2)) : null,
+                    tombolo_id: tombolo ? tombolo.id : null,
+                    tombolo_name: tombolo ? tombolo.name_en : null,
+                    compared_field: comparison ? measurement.dimension : null,
+                    recorded_m: comparison ? comparison.recorded : null,
+                    difference_m: comparison ? Number(comparison.difference.toFixed(2)) : null,
+                    suspect: comparison ? comparison.suspect : null,
+                    created: measurement.created
+                }
+            };
+        });
+        
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            metadata: {
+                title: 'Tombolos of Greece - measurements',
+                exported: new Date().toISOString(),
+                method: 'Geodesic lengths on the WGS84 ellipsoid; areas on its authalic sphere'
+            },
+            features
+        }, null, 2);
+    }
+    
+    exportGeoJSON() {
+        if (this.measurements.length === 0) return;
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(this.toGeoJSON(), `tombolos_measurements_${date}.geojson`, 'application/geo+json');
+    }
+    
+    // Drop the unsaved measurement from the map
+    resetCurrent() {
         this.points = [];
+        this.label = '';
+        this.tombolo = null;
+        this.dimension = 'length_m';
         this.totalDistance = 0;
         this.area = 0;
         
-        // Remove markers
+        // Remove vertices and segment labels
         this.markers.forEach(marker => this.map.removeLayer(marker));
         this.markers = [];
+        this.segmentLabels.forEach(label => this.map.removeLayer(label));
+        this.segmentLabels = [];
         
-        // Remove polyline
-        if (this.polyline) {
-            this.map.removeLayer(this.polyline);
-            this.polyline = null;
+        // Remove line or polygon
+        if (this.shape) {
+            this.map.removeLayer(this.shape);
+            this.shape = null;
         }
+    }
+    
+    // Discard the current measurement and close the tool; saved measurements stay on the map
+    clear() {
+        this.resetCurrent();
         
         // Remove info display
         if (this.infoDisplay) {
@@ -235,4 +868,3 @@ class MeasurementTool {
         this.map.dragging.enable();
     }
 }
-
@@ -0,0 +1,268 @@
+/**
+ * Tombolos Web Map - Offline Support
+ * Keeps tombolo records (from which filter options are faceted) and detail payloads in IndexedDB so the map
+ * keeps working without a connection, and registers the service worker for the app shell.
+ */
+
+class OfflineStore {
+    constructor(name = 'tombolos-offline', version = 1) {
+        this.name = name;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('tombolos')) db.createObjectStore('tombolos', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('queries')) db.createObjectStore('queries', { keyPath: 'key' });
+                    if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    async get(storeName, key) {
+        return this._request(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll(storeName) {
+        return this._request(storeName, 'readonly', store => store.getAll());
+    }
+
+    async put(storeName, value) {
+        return this._request(storeName, 'readwrite', store => store.put(value));
+    }
+
+    async delete(storeName, key) {
+        return this._request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    // Swap the whole content of a store in one transaction
+    async replaceAll(storeName, values) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            store.clear();
+            values.forEach(value => store.put(value));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async getMeta(key) {
+        const entry = await this.get('meta', key);
+        return entry ? entry.value : null;
+    }
+
+    async setMeta(key, value) {
+        return this.put('meta', { key, value });
+    }
+
+    async _request(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Wraps a data source (Supabase or the bundled file): answers from it while online and from IndexedDB otherwise
+class CachedDataSource {
+    constructor(source, store) {
+        this.name = source.name;
+        this.source = source;
+        this.store = store;
+        this.memory = null;
+        this.isOffline = !navigator.onLine;
+        this.lastSync = null;
+        this.callbacks = [];
+    }
+
+    async count() {
+        return this._withFallback('count', () => this.source.count(), memory => memory.count());
+    }
+
+    async getTombolos(filters = {}, options = {}) {
+        return this._withFallback(null, () => this.source.getTombolos(filters, options), memory => memory.getTombolos(filters, options));
+    }
+
+    async countTombolos(filters = {}) {
+        return this._withFallback(null, () => this.source.countTombolos(filters), memory => memory.countTombolos(filters));
+    }
+
+    async getAll() {
+        return this._withFallback(null, () => this.source.getAll(), memory => memory.getAll());
+    }
+
+    async getTomboloById(id) {
+        return this._withFallback(null, async () => {
+            const record = await this.source.getTomboloById(id);
+            this.store.put('tombolos', record)
+                .then(() => { this.memory = null; })
+                .catch(error => console.warn('⚠️ Could not cache tombolo details:', error));
+            return record;
+        }, memory => memory.getTomboloById(id));
+    }
+
+    // Writes always go to the network; the cached copy is updated once the server accepts them
+    async createTombolo(record, user = null) {
+        const created = await this.source.createTombolo(record, user);
+        await this._cacheRecord(created);
+        return created;
+    }
+
+    async updateTombolo(id, changes, user = null) {
+        const updated = await this.source.updateTombolo(id, changes, user);
+        await this._cacheRecord(updated);
+        return updated;
+    }
+
+    async deleteTombolo(id, user = null) {
+        await this.source.deleteTombolo(id, user);
+        await this.store.delete('tombolos', id).catch(error => console.warn('⚠️ Could not update offline cache:', error));
+        this.memory = null;
+        return true;
+    }
+
+    async importTombolos(inserts, updates, user = null) {
+        const stored = await this.source.importTombolos(inserts, updates, user);
+        await Promise.all(stored.map(record => this.store.put('tombolos', record)))
+            .catch(error => console.warn('⚠️ Could not update offline cache:', error));
+        this.memory = null;
+        return stored;
+    }
+
+    // History and suggestions are not cached offline
+    async getHistory(id) {
+        return this.source.getHistory(id);
+    }
+
+    async createSuggestion(id, changes, user = null) {
+        return this.source.createSuggestion(id, changes, user);
+    }
+
+    async getSuggestions(id) {
+        return this.source.getSuggestions(id);
+    }
+
+    async resolveSuggestion(suggestionId, status, user = null) {
+        return this.source.resolveSuggestion(suggestionId, status, user);
+    }
+
+    // Download the full dataset into IndexedDB
+    async sync() {
+        if (!navigator.onLine) return false;
+
+        try {
+            const records = await this.source.getAll();
+            await this.store.replaceAll('tombolos', records);
+            this.lastSync = new Date();
+            await this.store.setMeta('lastSync', this.lastSync.toISOString());
+            this.memory = null;
+            console.log(`💾 Offline cache updated with ${records.length} tombolos`);
+            this._setOffline(false);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Offline cache sync failed:', error);
+            return false;
+        }
+    }
+
+    async getLastSync() {
+        if (!this.lastSync) {
+            const stored = await this.store.getMeta('lastSync').catch(() => null);
+            if (stored) this.lastSync = new Date(stored);
+        }
+        return this.lastSync;
+    }
+
+    // Register callback for online/offline changes
+    onStatusChange(callback) {
+        this.callbacks.push(callback);
+        return () => {
+            const index = this.callbacks.indexOf(callback);
+            if (index > -1) this.callbacks.splice(index, 1);
+        };
+    }
+
+    async _cacheRecord(record) {
+        await this.store.put('tombolos', record).catch(error => console.warn('⚠️ Could not update offline cache:', error));
+        this.memory = null;
+    }
+
+    async _withFallback(cacheKey, remoteCall, offlineCall) {
+        let remoteError = null;
+
+        if (navigator.onLine) {
+            try {
+                const result = await remoteCall();
+                this._setOffline(false);
+                if (cacheKey) {
+                    this.store.put('queries', { key: cacheKey, value: result }).catch(() => {});
+                }
+                return result;
+            } catch (error) {
+                console.warn('⚠️ Remote query failed, falling back to offline cache:', error);
+                remoteError = error;
+            }
+        }
+
+        this._setOffline(true);
+
+        if (cacheKey) {
+            const hit = await this.store.get('queries', cacheKey).catch(() => null);
+            if (hit) return hit.value;
+        }
+
+        const memory = await this._getMemorySource();
+        if (memory) return offlineCall(memory);
+
+        throw remoteError || new Error('No offline data available');
+    }
+
+    // In-memory view over the cached records, reusing the local adapter's query logic
+    async _getMemorySource() {
+        if (!this.memory) {
+            const records = await this.store.getAll('tombolos').catch(() => []);
+            if (records.length === 0) return null;
+            this.memory = LocalDataSource.fromRecords(records);
+        }
+        return this.memory;
+    }
+
+    async _setOffline(offline) {
+        if (this.isOffline === offline) return;
+        this.isOffline = offline;
+
+        const lastSync = await this.getLastSync();
+        this.callbacks.forEach(callback => {
+            try {
+                callback({ offline, lastSync });
+            } catch (error) {
+                console.error('❌ Error in offline status callback:', error);
+            }
+        });
+    }
+}
+
+// Register the service worker that precaches the app shell and recently viewed tiles
+(function() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('./sw.js')
+            .then(registration => console.log('📦 Service worker registered:', registration.scope))
+            .catch(error => console.warn('⚠️ Service worker registration failed:', error));
+    });
+})();
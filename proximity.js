@@ -0,0 +1,222 @@
+/**
+ * Tombolos Web Map - Proximity Analysis
+ * Lists the nearest tombolos in the detail modal and provides a radius search map mode: click a
+ * point to highlight the tombolos within the chosen radius with counts per risk level.
+ * Distances are great-circle distances (haversineDistance in measurement-tool.js) between the
+ * tombolos of the current results.
+ */
+
+// Tombolos listed in the "nearby" section of the details
+const NEARBY_COUNT = 5;
+
+// Radius choices of the search mode (km)
+const PROXIMITY_RADII_KM = [1, 5, 10, 25, 50, 100];
+
+class ProximityTool {
+    constructor(app) {
+        this.app = app;
+        this.map = app.map;
+        this.isActive = false;
+        this.radiusKm = 10;
+        this.center = null;
+        this.layer = L.layerGroup().addTo(this.map);
+        this.panel = null;
+        this.panelDiv = null;
+        this.button = null;
+
+        this.init();
+    }
+
+    init() {
+        const ProximityControl = L.Control.extend({
+            options: { position: 'topleft' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'measurement-control leaflet-bar');
+                const button = L.DomUtil.create('button', 'measurement-btn', container);
+                button.innerHTML = '◎';
+                button.title = 'Find tombolos within a radius';
+                button.setAttribute('aria-label', 'Radius search');
+                button.setAttribute('aria-pressed', 'false');
+                button.addEventListener('click', () => this.setActive(!this.isActive));
+
+                L.DomEvent.disableClickPropagation(container);
+                this.button = button;
+                return container;
+            }
+        });
+        new ProximityControl().addTo(this.map);
+
+        this.map.on('click', (e) => {
+            if (!this.isActive) return;
+            if (this.app.measurementTool && this.app.measurementTool.isActive) return;
+            this.search(e.latlng);
+        });
+    }
+
+    setActive(active) {
+        this.isActive = active;
+        this.button.classList.toggle('active', active);
+        this.button.setAttribute('aria-pressed', String(active));
+        this.map.getContainer().classList.toggle('proximity-mode', active);
+
+        if (active) {
+            this.showPanel();
+        } else {
+            this.clear();
+        }
+    }
+
+    // Tombolos of the current results with coordinates, with their distance (m) from a point, nearest first
+    withDistances(latlng) {
+        return this.app.currentData
+            .filter(tombolo => Number.isFinite(parseFloat(tombolo.latitude)) && Number.isFinite(parseFloat(tombolo.longitude)))
+            .map(tombolo => ({
+                tombolo,
+                distance: haversineDistance(latlng, { lat: parseFloat(tombolo.latitude), lng: parseFloat(tombolo.longitude) })
+            }))
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    nearest(tombolo, count = NEARBY_COUNT) {
+        const origin = { lat: parseFloat(tombolo.latitude), lng: parseFloat(tombolo.longitude) };
+        if (!Number.isFinite(origin.lat) || !Number.isFinite(origin.lng)) return [];
+        return this.withDistances(origin)
+            .filter(item => String(item.tombolo.id) !== String(tombolo.id))
+            .slice(0, count);
+    }
+
+    formatDistance(meters) {
+        return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(meters < 10000 ? 2 : 1)} km`;
+    }
+
+    riskBadge(tombolo) {
+        const level = tomboloRiskLevel(tombolo);
+        return `<span class="risk-badge risk-${level.key}">${level.label}</span>`;
+    }
+
+    // "Nearby tombolos" section under the details (called by displayTomboloModal)
+    decorateDetails(tombolo) {
+        const nearby = this.nearest(tombolo);
+        if (nearby.length === 0) return;
+
+        const section = document.createElement('div');
+        section.className = 'nearby-tombolos';
+        section.innerHTML = `
+            <h4>Nearby tombolos</h4>
+            <ul>
+                ${nearby.map(({ tombolo: other, distance }) => `
+                    <li>
+                        <button class="nearby-link" data-id="${this.app.escapeHtml(String(other.id))}">${this.app.escapeHtml(other.name_en || `#${other.id}`)}</button>
+                        <span class="nearby-distance">${this.formatDistance(distance)}</span>
+                        ${this.riskBadge(other)}
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="filter-hint">Great-circle distances to the ${NEARBY_COUNT} closest tombolos in the current results</p>
+        `;
+        section.querySelectorAll('.nearby-link').forEach(link => {
+            const match = nearby.find(item => String(item.tombolo.id) === link.dataset.id);
+            link.addEventListener('click', () => this.app.showTomboloDetails(match.tombolo.id));
+        });
+        this.app.modalElements.detailsContainer.appendChild(section);
+    }
+
+    // Highlight the tombolos within the radius of a point and summarize them
+    search(latlng) {
+        this.center = latlng;
+        this.layer.clearLayers();
+
+        const radius = this.radiusKm * 1000;
+        const found = this.withDistances(latlng).filter(item => item.distance <= radius);
+
+        L.circle(latlng, { radius, color: '#0066ff', weight: 1.5, fillOpacity: 0.05, interactive: false }).addTo(this.layer);
+        L.circleMarker(latlng, { radius: 4, color: '#0066ff', fillColor: '#0066ff', fillOpacity: 1, interactive: false }).addTo(this.layer);
+        found.forEach(({ tombolo }) => {
+            L.circleMarker([parseFloat(tombolo.latitude), parseFloat(tombolo.longitude)], {
+                radius: 15,
+                color: '#0066ff',
+                weight: 3,
+                fill: false,
+                interactive: false
+            }).addTo(this.layer);
+        });
+
+        this.showPanel(found);
+    }
+
+    // Repeat the search after the results changed (called by updateMap)
+    refresh() {
+        if (this.isActive && this.center) this.search(this.center);
+    }
+
+    showPanel(found = null) {
+        if (!this.panel) {
+            this.panel = L.control({ position: 'topright' });
+            this.panel.onAdd = () => {
+                const div = L.DomUtil.create('div', 'measurement-info proximity-info');
+                L.DomEvent.disableClickPropagation(div);
+                L.DomEvent.disableScrollPropagation(div);
+                div.addEventListener('change', (e) => {
+                    if (e.target.name !== 'radius') return;
+                    this.radiusKm = Number(e.target.value);
+                    if (this.center) {
+                        this.search(this.center);
+                    } else {
+                        this.showPanel();
+                    }
+                });
+                div.addEventListener('click', (e) => {
+                    const link = e.target.closest('[data-id]');
+                    if (!link) return;
+                    const match = this.app.currentData.find(tombolo => String(tombolo.id) === link.dataset.id);
+                    if (match) this.app.showTomboloDetails(match.id);
+                });
+                this.panelDiv = div;
+                return div;
+            };
+            this.panel.addTo(this.map);
+        }
+
+        const options = PROXIMITY_RADII_KM
+            .map(km => `<option value="${km}"${km === this.radiusKm ? ' selected' : ''}>${km} km</option>`)
+            .join('');
+
+        let html = `
+            <div class="measurement-info-content">
+                <div class="measurement-title">Radius search</div>
+                <label class="measurement-stat">Radius <select name="radius">${options}</select></label>
+        `;
+
+        if (found) {
+            const counts = TOMBOLO_RISK_LEVELS.map(level => ({
+                level,
+                count: found.filter(item => tomboloRiskLevel(item.tombolo).key === level.key).length
+            }));
+            html += `<div class="measurement-stat"><strong>${found.length}</strong> tombolo${found.length === 1 ? '' : 's'} within ${this.radiusKm} km</div>`;
+            html += counts.map(({ level, count }) => `
+                <div class="measurement-stat proximity-count">
+                    <span class="legend-swatch" style="background: ${level.color}"></span>${level.label}: ${count}
+                </div>
+            `).join('');
+            if (found.length > 0) {
+                html += `<ol class="proximity-list">${found.slice(0, 10).map(({ tombolo, distance }) => `
+                    <li><button class="nearby-link" data-id="${this.app.escapeHtml(String(tombolo.id))}">${this.app.escapeHtml(tombolo.name_en || `#${tombolo.id}`)}</button> ${this.formatDistance(distance)}</li>
+                `).join('')}</ol>`;
+                if (found.length > 10) html += `<div class="filter-hint">and ${found.length - 10} more</div>`;
+            }
+        }
+
+        html += '<div class="measurement-hint">Click the map to search around a point • Click ◎ to close</div></div>';
+        this.panelDiv.innerHTML = html;
+    }
+
+    clear() {
+        this.center = null;
+        this.layer.clearLayers();
+        if (this.panel) {
+            this.map.removeControl(this.panel);
+            this.panel = null;
+            this.panelDiv = null;
+        }
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Tombolos Web Map - Reset Password
+ * Landing page of the password recovery email (AuthManager.sendPasswordReset). Supabase restores a
+ * short-lived session from the link, which is used here to set the new password.
+ */
+
+(function() {
+    const form = document.getElementById('reset-form');
+    const passwordInput = document.getElementById('reset-password');
+    const confirmInput = document.getElementById('reset-confirm');
+    const button = document.getElementById('reset-button');
+    const errorBox = document.getElementById('reset-error');
+    const noticeBox = document.getElementById('reset-notice');
+    const loading = document.getElementById('reset-loading');
+    let linkError = null;
+
+    function showResetError(message) {
+        errorBox.textContent = message;
+        errorBox.classList.toggle('hidden', !message);
+    }
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        showResetError('');
+
+        const password = passwordInput.value;
+        if (password.length < 6) {
+            showResetError('Your password must be at least 6 characters long.');
+            return;
+        }
+        if (password !== confirmInput.value) {
+            showResetError('The passwords do not match.');
+            return;
+        }
+
+        button.classList.add('loading');
+        button.disabled = true;
+
+        const result = await window.authManager.updatePassword(password);
+
+        if (result.success) {
+            form.classList.add('hidden');
+            noticeBox.textContent = 'Your password has been changed. Taking you to the map...';
+            noticeBox.classList.remove('hidden');
+            setTimeout(() => { window.location.href = './index.html'; }, 1500);
+            return;
+        }
+
+        showResetError(result.error);
+        button.classList.remove('loading');
+        button.disabled = false;
+    });
+
+    // Reported before the session is restored, so the first notification can show the reason
+    window.addEventListener('auth-redirect', (event) => {
+        if (!event.detail.success) linkError = event.detail.error;
+    });
+
+    window.addEventListener('supabase-ready', () => {
+        let checked = false;
+        // The first notification carries the session restored from the recovery link
+        window.authManager.onAuthChange((session) => {
+            if (checked) return;
+            checked = true;
+            loading.classList.add('hidden');
+
+            if (!session) {
+                showResetError(linkError || 'This reset link is invalid or has expired. Please request a new one from the sign-in page.');
+                return;
+            }
+            form.classList.remove('hidden');
+            passwordInput.focus();
+        });
+    });
+
+    window.addEventListener('load', () => {
+        if (window.tomboloConfig && window.tomboloConfig.dataSource === 'local') {
+            loading.classList.add('hidden');
+            showResetError('Password reset is not available: Supabase is not configured for this deployment.');
+        }
+    });
+})();
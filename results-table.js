@@ -0,0 +1,264 @@
+/**
+ * Tombolos Web Map - Results Table
+ * Lists the current results (app.currentData) in the "Results" tab: sortable, paginated, with a
+ * choice of columns (remembered in localStorage) and optionally only the tombolos in the map view.
+ * Rows and markers share their hover state; selecting a row zooms to and rings its marker.
+ */
+
+// Columns that can be shown: loaded marker fields (labels from TOMBOLO_FIELDS) and the risk level
+const RESULTS_TABLE_COLUMNS = ['name_en', 'island_en', 'prefecture_en', 'tombolo_type', 'tombolo_category', 'length_m', 'height_m', 'elevation']
+    .map(key => TOMBOLO_FIELDS.find(field => field.key === key))
+    .concat({ key: 'risk', label: 'Risk', type: 'risk' });
+
+const RESULTS_DEFAULT_COLUMNS = ['name_en', 'island_en', 'length_m', 'risk'];
+const RESULTS_PAGE_SIZE = 20;
+const RESULTS_COLUMNS_KEY = 'tombolos-table-columns';
+
+class ResultsTable {
+    constructor(app) {
+        this.app = app;
+        this.map = app.map;
+        this.sortKey = 'name_en';
+        this.sortDirection = 1;
+        this.page = 0;
+        this.limitToView = false;
+        this.columns = this.loadColumns();
+        this.selectedId = null;
+        this.selectionLayer = L.layerGroup().addTo(this.map);
+        this.elements = {};
+
+        this.init();
+    }
+
+    init() {
+        this.elements = {
+            container: document.getElementById('results-table'),
+            summary: document.getElementById('results-summary'),
+            head: document.querySelector('#results-table thead'),
+            body: document.querySelector('#results-table tbody'),
+            pagination: document.getElementById('results-pagination'),
+            columns: document.getElementById('results-columns'),
+            limitToView: document.getElementById('results-limit-view')
+        };
+        if (!this.elements.container) return;
+
+        this.elements.columns.innerHTML = RESULTS_TABLE_COLUMNS.map(column => `
+            <label><input type="checkbox" value="${column.key}"${this.columns.includes(column.key) ? ' checked' : ''}> ${column.label}</label>
+        `).join('');
+        this.elements.columns.addEventListener('change', () => {
+            const checked = Array.from(this.elements.columns.querySelectorAll('input:checked')).map(input => input.value);
+            // Column order follows RESULTS_TABLE_COLUMNS; at least one column stays visible
+            this.columns = checked.length > 0 ? checked : [RESULTS_TABLE_COLUMNS[0].key];
+            try {
+                localStorage.setItem(RESULTS_COLUMNS_KEY, JSON.stringify(this.columns));
+            } catch (error) {
+                console.warn('⚠️ Could not save the table columns:', error);
+            }
+            this.render();
+        });
+
+        this.elements.limitToView.addEventListener('change', (e) => {
+            this.limitToView = e.target.checked;
+            this.page = 0;
+            this.render();
+        });
+        this.map.on('moveend', () => {
+            if (!this.limitToView) return;
+            this.page = 0;
+            this.render();
+        });
+
+        this.elements.head.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sort]');
+            if (!button) return;
+            if (this.sortKey === button.dataset.sort) {
+                this.sortDirection = -this.sortDirection;
+            } else {
+                this.sortKey = button.dataset.sort;
+                this.sortDirection = 1;
+            }
+            this.page = 0;
+            this.render();
+        });
+
+        this.elements.body.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row) return;
+            if (e.target.closest('.nearby-link')) {
+                this.app.showTomboloDetails(this.recordFor(row.dataset.id).id);
+                return;
+            }
+            this.select(row.dataset.id);
+        });
+        this.elements.body.addEventListener('keydown', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (!row || e.target !== row || (e.key !== 'Enter' && e.key !== ' ')) return;
+            e.preventDefault();
+            this.select(row.dataset.id);
+        });
+        // Row hover highlights the marker (mouseenter / leave do not bubble, so over / out are used)
+        this.elements.body.addEventListener('mouseover', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row && !row.contains(e.relatedTarget)) this.app.highlightMarker(row.dataset.id, true);
+        });
+        this.elements.body.addEventListener('mouseout', (e) => {
+            const row = e.target.closest('tr[data-id]');
+            if (row && !row.contains(e.relatedTarget)) this.app.highlightMarker(row.dataset.id, false);
+        });
+
+        this.elements.pagination.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page]');
+            if (!button || button.disabled) return;
+            this.page += Number(button.dataset.page);
+            this.render();
+        });
+    }
+
+    loadColumns() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(RESULTS_COLUMNS_KEY));
+            const valid = Array.isArray(saved) ? saved.filter(key => RESULTS_TABLE_COLUMNS.some(column => column.key === key)) : [];
+            if (valid.length > 0) return valid;
+        } catch (error) {
+            console.warn('⚠️ Could not read the table columns:', error);
+        }
+        return RESULTS_DEFAULT_COLUMNS.slice();
+    }
+
+    recordFor(id) {
+        return this.app.currentData.find(tombolo => String(tombolo.id) === String(id)) || null;
+    }
+
+    // Value a column sorts by: numbers for numeric fields, the level order for risk, text otherwise
+    sortValue(record, column) {
+        if (column.type === 'risk') return TOMBOLO_RISK_LEVELS.indexOf(tomboloRiskLevel(record));
+        const value = record[column.key];
+        if (column.type === 'number') {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        return value === null || value === undefined || value === '' ? null : String(value);
+    }
+
+    // Current results (in the map view when limited), sorted; missing values always last
+    rows() {
+        let records = this.app.currentData;
+        if (this.limitToView) {
+            const bounds = this.map.getBounds();
+            records = records.filter(record => bounds.contains([record.latitude, record.longitude]));
+        }
+
+        const column = RESULTS_TABLE_COLUMNS.find(item => item.key === this.sortKey) || RESULTS_TABLE_COLUMNS[0];
+        return records
+            .map(record => ({ record, value: this.sortValue(record, column) }))
+            .sort((a, b) => {
+                if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+                const order = typeof a.value === 'number' ? a.value - b.value : a.value.localeCompare(b.value);
+                return order * this.sortDirection;
+            })
+            .map(item => item.record);
+    }
+
+    cell(record, column) {
+        if (column.type === 'risk') {
+            const level = tomboloRiskLevel(record);
+            return `<span class="risk-badge risk-${level.key}">${level.label}</span>`;
+        }
+        if (column.key === 'name_en') {
+            return `<button class="nearby-link" title="Show details">${this.app.escapeHtml(record.name_en || `#${record.id}`)}</button>`;
+        }
+        const value = record[column.key];
+        if (value === null || value === undefined || value === '') return '<span class="results-empty">–</span>';
+        if (column.type === 'number' && Number.isFinite(parseFloat(value))) return parseFloat(value).toLocaleString();
+        return this.app.escapeHtml(String(value));
+    }
+
+    render() {
+        if (!this.elements.container) return;
+
+        const rows = this.rows();
+        const pages = Math.max(1, Math.ceil(rows.length / RESULTS_PAGE_SIZE));
+        this.page = Math.min(Math.max(this.page, 0), pages - 1);
+        const pageRows = rows.slice(this.page * RESULTS_PAGE_SIZE, (this.page + 1) * RESULTS_PAGE_SIZE);
+        const columns = RESULTS_TABLE_COLUMNS.filter(column => this.columns.includes(column.key));
+
+        this.elements.head.innerHTML = `<tr>${columns.map(column => {
+            const sorted = column.key === this.sortKey;
+            const direction = this.sortDirection === 1 ? 'ascending' : 'descending';
+            return `
+                <th scope="col"${sorted ? ` aria-sort="${direction}"` : ''}${column.type === 'number' ? ' class="numeric"' : ''}>
+                    <button data-sort="${column.key}">${column.label}${sorted ? (this.sortDirection === 1 ? ' ▲' : ' ▼') : ''}</button>
+                </th>
+            `;
+        }).join('')}</tr>`;
+
+        this.elements.body.innerHTML = pageRows.map(record => {
+            const id = this.app.escapeHtml(String(record.id));
+            const selected = String(record.id) === this.selectedId;
+            return `
+                <tr data-id="${id}" tabindex="0"${selected ? ' class="selected" aria-selected="true"' : ''}>
+                    ${columns.map(column => `<td${column.type === 'number' ? ' class="numeric"' : ''}>${this.cell(record, column)}</td>`).join('')}
+                </tr>
+            `;
+        }).join('') || `<tr><td colspan="${columns.length}" class="results-empty">No tombolos${this.limitToView ? ' in the map view' : ''}</td></tr>`;
+
+        this.elements.summary.textContent = rows.length === 0 ? '' :
+            `${(this.page * RESULTS_PAGE_SIZE + 1).toLocaleString()}–${(this.page * RESULTS_PAGE_SIZE + pageRows.length).toLocaleString()} of ` +
+            `${rows.length.toLocaleString()} tombolo${rows.length === 1 ? '' : 's'}${this.limitToView ? ' in the map view' : ''}`;
+
+        this.elements.pagination.innerHTML = pages === 1 ? '' : `
+            <button class="results-page-btn" data-page="-1"${this.page === 0 ? ' disabled' : ''} aria-label="Previous page">‹ Prev</button>
+            <span>Page ${this.page + 1} of ${pages}</span>
+            <button class="results-page-btn" data-page="1"${this.page === pages - 1 ? ' disabled' : ''} aria-label="Next page">Next ›</button>
+        `;
+    }
+
+    // Re-render after the results changed (called by updateMap)
+    refresh() {
+        if (this.selectedId !== null && !this.recordFor(this.selectedId)) this.clearSelection();
+        this.render();
+    }
+
+    // Zoom to a row's marker and ring it until another row is selected
+    select(id) {
+        const marker = this.app.markers.get(String(id));
+        if (!marker) return;
+
+        this.selectedId = String(id);
+        this.selectionLayer.clearLayers();
+        L.circleMarker(marker.getLatLng(), {
+            radius: 18,
+            color: '#0066ff',
+            weight: 3,
+            fill: false,
+            interactive: false
+        }).addTo(this.selectionLayer);
+
+        // Opens the marker's cluster at the lowest zoom that shows it
+        this.app.markerCluster.zoomToShowLayer(marker, () => {
+            this.map.panTo(marker.getLatLng());
+            marker.openTooltip();
+        });
+
+        this.elements.body.querySelectorAll('tr[data-id]').forEach(row => {
+            const selected = row.dataset.id === this.selectedId;
+            row.classList.toggle('selected', selected);
+            if (selected) {
+                row.setAttribute('aria-selected', 'true');
+            } else {
+                row.removeAttribute('aria-selected');
+            }
+        });
+    }
+
+    clearSelection() {
+        this.selectedId = null;
+        this.selectionLayer.clearLayers();
+    }
+
+    // Row hover state for a marker hover (called by the markers)
+    highlightRow(id, on) {
+        const row = this.elements.body && this.elements.body.querySelector(`tr[data-id="${CSS.escape(String(id))}"]`);
+        if (row) row.classList.toggle('hovered', on);
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Tombolos Web Map - Sea-Level-Rise Scenarios
+ * Projects each tombolo's crest elevation for a year under RCP 2.6 or RCP 8.5 and colours the
+ * markers by it, with a year slider (that can play) and a live count of submerged tombolos.
+ * The projection interpolates linearly between the present `elevation` and the scenario's 2100 value.
+ */
+
+// Year the present elevations refer to, and the end of the projections
+const SCENARIO_BASE_YEAR = 2020;
+const SCENARIO_END_YEAR = 2100;
+
+const SCENARIOS = {
+    rcp26: { label: 'RCP 2.6', elevationField: 'elevation_rcp26', flagField: 'sub_rcp26' },
+    rcp85: { label: 'RCP 8.5', elevationField: 'elevation_rcp85', flagField: 'sub_rcp85' }
+};
+
+// Projected crest elevation classes, checked in order
+const SCENARIO_CLASSES = [
+    { key: 'submerged', label: 'Submerged (≤ 0 m)', color: '#cc0000', test: elevation => elevation <= 0 },
+    { key: 'near', label: 'Within 0.5 m of submersion', color: '#ff6600', test: elevation => elevation <= 0.5 },
+    { key: 'dry', label: 'Above 0.5 m', color: '#000000', test: () => true }
+];
+const SCENARIO_NO_DATA = { key: 'nodata', label: 'No elevation data', color: '#999999' };
+
+// Projected crest elevation (m) of a record in a year, or null without both elevations
+function projectedElevation(record, scenario, year) {
+    const present = parseFloat(record.elevation);
+    const future = parseFloat(record[SCENARIOS[scenario].elevationField]);
+    if (!Number.isFinite(present) || !Number.isFinite(future)) return null;
+
+    const progress = (Math.min(Math.max(year, SCENARIO_BASE_YEAR), SCENARIO_END_YEAR) - SCENARIO_BASE_YEAR) /
+        (SCENARIO_END_YEAR - SCENARIO_BASE_YEAR);
+    return present + (future - present) * progress;
+}
+
+class ScenarioExplorer {
+    constructor(app) {
+        this.app = app;
+        this.map = app.map;
+        this.isActive = false;
+        this.scenario = 'rcp85';
+        this.year = Math.min(Math.max(new Date().getFullYear(), SCENARIO_BASE_YEAR), SCENARIO_END_YEAR);
+        this.playTimer = null;
+        this.panel = null;
+        this.panelDiv = null;
+        this.button = null;
+
+        this.init();
+    }
+
+    init() {
+        const ScenarioControl = L.Control.extend({
+            options: { position: 'topleft' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'measurement-control leaflet-bar');
+                const button = L.DomUtil.create('button', 'measurement-btn', container);
+                button.innerHTML = '🌊';
+                button.title = 'Sea-level-rise scenarios';
+                button.setAttribute('aria-label', 'Sea-level-rise scenarios');
+                button.setAttribute('aria-pressed', 'false');
+                button.addEventListener('click', () => this.setActive(!this.isActive));
+
+                L.DomEvent.disableClickPropagation(container);
+                this.button = button;
+                return container;
+            }
+        });
+        new ScenarioControl().addTo(this.map);
+    }
+
+    setActive(active) {
+        this.isActive = active;
+        this.button.classList.toggle('active', active);
+        this.button.setAttribute('aria-pressed', String(active));
+
+        if (active) {
+            this.showPanel();
+        } else {
+            this.pause();
+            if (this.panel) {
+                this.map.removeControl(this.panel);
+                this.panel = null;
+                this.panelDiv = null;
+            }
+        }
+        this.restyleMarkers();
+        // The legend notes that the scenario colours replace its scheme
+        if (this.app.styler) this.app.styler.renderLegend();
+    }
+
+    // Projection class of a record in the selected scenario and year
+    classify(record) {
+        if (record.submerged === 'yes') return SCENARIO_CLASSES[0];
+        const elevation = projectedElevation(record, this.scenario, this.year);
+        if (elevation === null) {
+            // Without elevations only the 2100 flag is known
+            if (this.year === SCENARIO_END_YEAR && record[SCENARIOS[this.scenario].flagField] === 'yes') return SCENARIO_CLASSES[0];
+            return SCENARIO_NO_DATA;
+        }
+        return SCENARIO_CLASSES.find(item => item.test(elevation));
+    }
+
+    // Marker colour while the explorer is active (used by getMarkerColor)
+    colorFor(record) {
+        return this.classify(record).color;
+    }
+
+    // Restyle the existing markers in place for the current scenario and year
+    restyleMarkers() {
+        this.app.restyleMarkers();
+        this.updateCounter();
+    }
+
+    setYear(year) {
+        this.year = year;
+        this.restyleMarkers();
+    }
+
+    play() {
+        if (this.playTimer) return;
+        if (this.year >= SCENARIO_END_YEAR) this.year = SCENARIO_BASE_YEAR;
+        this.playTimer = setInterval(() => {
+            if (this.year >= SCENARIO_END_YEAR) {
+                this.pause();
+                return;
+            }
+            this.setYear(this.year + 1);
+        }, 150);
+        this.updateCounter();
+    }
+
+    pause() {
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.updateCounter();
+    }
+
+    showPanel() {
+        if (this.panel) return;
+
+        this.panel = L.control({ position: 'bottomright' });
+        this.panel.onAdd = () => {
+            const div = L.DomUtil.create('div', 'measurement-info scenario-panel');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            const scenarioButtons = Object.keys(SCENARIOS).map(key =>
+                `<button class="measurement-mode-btn" data-scenario="${key}">${SCENARIOS[key].label}</button>`).join('');
+            div.innerHTML = `
+                <div class="measurement-info-content">
+                    <div class="measurement-title">Sea-level-rise scenario</div>
+                    <div class="measurement-modes">${scenarioButtons}</div>
+                    <div class="scenario-timeline">
+                        <button class="measurement-mode-btn scenario-play" data-action="play" aria-label="Play">▶</button>
+                        <input type="range" name="year" min="${SCENARIO_BASE_YEAR}" max="${SCENARIO_END_YEAR}" step="1" value="${this.year}" aria-label="Year">
+                        <span class="scenario-year"></span>
+                    </div>
+                    <div class="scenario-counter" aria-live="polite"></div>
+                    <div class="scenario-legend">
+                        ${SCENARIO_CLASSES.concat(SCENARIO_NO_DATA).map(item => `
+                            <div class="measurement-stat"><span class="legend-swatch" style="background: ${item.color}"></span>${item.label}</div>
+                        `).join('')}
+                    </div>
+                    <div class="measurement-hint">Crest elevation interpolated from the present value to ${SCENARIO_END_YEAR}</div>
+                </div>
+            `;
+
+            div.querySelector('input[name="year"]').addEventListener('input', (e) => this.setYear(Number(e.target.value)));
+            div.querySelectorAll('[data-scenario]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.scenario = button.dataset.scenario;
+                    this.restyleMarkers();
+                });
+            });
+            div.querySelector('[data-action="play"]').addEventListener('click', () => {
+                if (this.playTimer) {
+                    this.pause();
+                } else {
+                    this.play();
+                }
+            });
+
+            this.panelDiv = div;
+            return div;
+        };
+        this.panel.addTo(this.map);
+        this.updateCounter();
+    }
+
+    // Year, scenario buttons and the number of tombolos submerged in that year
+    updateCounter() {
+        if (!this.panelDiv) return;
+
+        const records = this.app.currentData;
+        const submerged = records.filter(record => this.classify(record).key === 'submerged').length;
+        const today = records.filter(record => record.submerged === 'yes').length;
+
+        this.panelDiv.querySelector('input[name="year"]').value = this.year;
+        this.panelDiv.querySelector('.scenario-year').textContent = this.year;
+        this.panelDiv.querySelectorAll('[data-scenario]').forEach(button => {
+            const selected = button.dataset.scenario === this.scenario;
+            button.classList.toggle('active', selected);
+            button.setAttribute('aria-pressed', String(selected));
+        });
+        const play = this.panelDiv.querySelector('[data-action="play"]');
+        play.textContent = this.playTimer ? '❚❚' : '▶';
+        play.setAttribute('aria-label', this.playTimer ? 'Pause' : 'Play');
+
+        this.panelDiv.querySelector('.scenario-counter').innerHTML = `
+            <strong>${submerged}</strong> of ${records.length} tombolos submerged in ${this.year}
+            under ${SCENARIOS[this.scenario].label}${submerged > today ? ` (+${submerged - today} since today)` : ''}
+        `;
+    }
+}
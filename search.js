@@ -0,0 +1,213 @@
+/**
+ * Tombolos Web Map - Name Search
+ * Type-ahead search over tombolo names (English and Greek), islands and prefectures.
+ * Matching ignores case and Greek accents, and accepts Greeklish spellings of Greek names.
+ */
+
+// αυ, ευ and ηυ read as av / ev / iv, or af / ef / if before a voiceless consonant or at the end of a word,
+// so "Λευκάδα" meets "Lefkada" and "Εύβοια" meets "Evia". They are transliterated before the other pairs.
+const GREEK_U_DIPHTHONGS = { 'α': 'a', 'ε': 'e', 'η': 'i' };
+const GREEK_VOICELESS = 'θκξπστφχψ';
+
+// Greek letter pairs read as one sound, transliterated before single letters
+const GREEK_DIGRAPHS = {
+    'ου': 'u', 'αι': 'e', 'ει': 'i', 'οι': 'i', 'υι': 'i',
+    'μπ': 'b', 'ντ': 'd', 'γγ': 'g', 'γκ': 'g', 'τσ': 'ts', 'τζ': 'tz'
+};
+
+const GREEK_LETTERS = {
+    'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+    'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+    'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'i', 'φ': 'f', 'χ': 'h', 'ψ': 'ps', 'ω': 'o'
+};
+
+// Latin spellings reduced to one canonical form, so "Chios", "Xios" and "Χίος" meet.
+// Order matters: multi-letter rules run before the single letters they contain. A "y" before a vowel
+// stands for γ (Ayios / Agios / Άγιος, Yalos / Gialos / Γιαλός); elsewhere it is the vowel (Kythnos).
+const LATIN_EQUIVALENTS = [
+    [/y(?=[ei])/g, 'g'], [/y(?=[aou])/g, 'gi'], [/y/g, 'i'],
+    [/ou/g, 'u'], [/ai/g, 'e'], [/ei|oi/g, 'i'], [/gh/g, 'g'], [/dh/g, 'd'], [/ch|kh/g, 'h'], [/ph/g, 'f'],
+    [/8/g, 'th'], [/ks/g, 'x'], [/m[bp]/g, 'b'], [/nt/g, 'd'], [/g[gk]/g, 'g'],
+    [/w/g, 'o'], [/c/g, 'k'], [/([a-z])\1+/g, '$1']
+];
+
+// A vowel with a dialytika never forms a pair with the vowel before it (Αϊβαλί, Ταΰγετος)
+const GREEK_DIALYTIKA = /[ϊΐΪϋΰΫ]/g;
+
+// Lowercase and strip accents/diacritics (tonos, dialytika) from Greek and Latin text
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ς/g, 'σ')
+        .trim();
+}
+
+// Lowercase Latin spelling of Greek text without accents, read by sound ("Λευκάδα" gives "lefkada",
+// "Εύβοια" gives "evia"). Shared by the search key and export file names, so both spell names alike.
+function transliterateGreek(text) {
+    // The dialytika vowel becomes a Latin i at once, so no Greek pair rule can join it to the vowel before
+    let latin = normalizeSearchText(String(text || '').replace(GREEK_DIALYTIKA, 'i'));
+    // A following β already gives the v sound (Εύβοια is "evia", not "evvia")
+    latin = latin.replace(/([αεη])υ(?=(.?))/g, (pair, vowel, next) => GREEK_U_DIPHTHONGS[vowel] +
+        (next === 'β' ? '' : !/[α-ω]/.test(next) || GREEK_VOICELESS.includes(next) ? 'f' : 'v'));
+    Object.keys(GREEK_DIGRAPHS).forEach(pair => {
+        latin = latin.split(pair).join(GREEK_DIGRAPHS[pair]);
+    });
+    return latin.replace(/[α-ω]/g, letter => GREEK_LETTERS[letter] || letter);
+}
+
+// Phonetic Latin key used for matching across Greek, Greeklish and English spellings. Pairs that meet:
+// Αγιος / Άγιος / Agios / Ayios / Aghios, Λευκάδα / Lefkada, Εύβοια / Evia, Αϊβαλί / Aivali, Χίος / Chios
+function toSearchKey(text) {
+    let key = transliterateGreek(text);
+    LATIN_EQUIVALENTS.forEach(([pattern, replacement]) => {
+        key = key.replace(pattern, replacement);
+    });
+    return key.replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+class TomboloSearch {
+    constructor(input, resultsList, onSelect) {
+        this.input = input;
+        this.resultsList = resultsList;
+        this.onSelect = onSelect;
+        this.index = [];
+        this.results = [];
+        this.activeIndex = -1;
+        this.maxResults = 10;
+
+        this.init();
+    }
+
+    init() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => { if (this.input.value) this.update(); });
+        this.input.addEventListener('keydown', (event) => this.handleKeydown(event));
+        this.input.addEventListener('blur', () => setTimeout(() => this.close(), 150));
+    }
+
+    // Pre-compute the searchable keys of every record
+    setRecords(records) {
+        this.index = records.map(record => ({
+            record,
+            names: [record.name_en, record.name_gr].filter(Boolean).map(toSearchKey),
+            places: [record.island_en, record.prefecture_en].filter(Boolean).map(toSearchKey)
+        }));
+    }
+
+    // Matches ranked: name prefix, name substring, then island/prefecture matches
+    search(query) {
+        const key = toSearchKey(query);
+        if (!key) return [];
+
+        // A Greeklish "x" may stand for χ as well as ξ
+        const keys = key.includes('x') ? [key, key.replace(/x/g, 'h')] : [key];
+        const rank = values => {
+            let best = Infinity;
+            values.forEach(value => {
+                keys.forEach(k => {
+                    if (value.startsWith(k) || value.includes(` ${k}`)) best = Math.min(best, 0);
+                    else if (value.includes(k)) best = Math.min(best, 1);
+                });
+            });
+            return best;
+        };
+
+        return this.index
+            .map(entry => {
+                const nameRank = rank(entry.names);
+                const placeRank = rank(entry.places) + 2;
+                return { record: entry.record, score: Math.min(nameRank, placeRank) };
+            })
+            .filter(result => Number.isFinite(result.score))
+            .sort((a, b) => a.score - b.score ||
+                String(a.record.name_en || '').localeCompare(String(b.record.name_en || '')))
+            .slice(0, this.maxResults)
+            .map(result => result.record);
+    }
+
+    update() {
+        this.results = this.search(this.input.value);
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    render() {
+        this.resultsList.innerHTML = '';
+
+        if (!this.input.value.trim()) {
+            this.close();
+            return;
+        }
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No tombolos found';
+            this.resultsList.appendChild(empty);
+        }
+
+        this.results.forEach((record, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.id = `search-result-${index}`;
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', index === this.activeIndex ? 'true' : 'false');
+
+            const name = document.createElement('span');
+            name.className = 'search-result-name';
+            name.textContent = [record.name_en, record.name_gr].filter(Boolean).join(' · ') || `#${record.id}`;
+
+            const place = document.createElement('span');
+            place.className = 'search-result-place';
+            place.textContent = [record.island_en, record.prefecture_en].filter(Boolean).join(', ');
+
+            item.append(name, place);
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.select(index);
+            });
+            this.resultsList.appendChild(item);
+        });
+
+        this.resultsList.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+        if (this.activeIndex >= 0) {
+            this.input.setAttribute('aria-activedescendant', `search-result-${this.activeIndex}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (this.results.length === 0) return;
+            event.preventDefault();
+            const direction = event.key === 'ArrowDown' ? 1 : -1;
+            this.activeIndex = (this.activeIndex + direction + this.results.length) % this.results.length;
+            this.render();
+        } else if (event.key === 'Enter') {
+            if (this.results.length === 0) return;
+            event.preventDefault();
+            this.select(this.activeIndex >= 0 ? this.activeIndex : 0);
+        } else if (event.key === 'Escape') {
+            this.close();
+        }
+    }
+
+    select(index) {
+        const record = this.results[index];
+        if (!record) return;
+        this.input.value = record.name_en || record.name_gr || '';
+        this.close();
+        this.onSelect(record);
+    }
+
+    close() {
+        this.resultsList.classList.add('hidden');
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
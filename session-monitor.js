@@ -0,0 +1,150 @@
+/**
+ * Tombolos Web Map - Session Monitor
+ * Shows the session events of AuthManager: a warning banner before the session ends, a sign-in
+ * dialog once it has ended (drawn over the page, so open forms and their unsaved values stay as they
+ * are) and a notice after the idle timeout or another tab signed the user out.
+ */
+
+class SessionMonitor {
+    constructor(app) {
+        this.app = app;
+        this.banner = null;
+        this.countdownTimer = null;
+        this.elements = {};
+
+        this.init();
+    }
+
+    init() {
+        this.banner = document.createElement('div');
+        this.banner.className = 'session-banner hidden';
+        this.banner.setAttribute('role', 'status');
+        document.body.appendChild(this.banner);
+
+        this.elements = {
+            modal: document.getElementById('reauth-modal'),
+            form: document.getElementById('reauth-form'),
+            message: document.getElementById('reauth-message'),
+            email: document.getElementById('reauth-email'),
+            password: document.getElementById('reauth-password'),
+            error: document.getElementById('reauth-error'),
+            submit: document.getElementById('reauth-submit'),
+            signOut: document.getElementById('reauth-signout')
+        };
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.reauthenticate();
+        });
+        this.elements.signOut.addEventListener('click', async () => {
+            await window.authManager.signOut();
+            this.hideReauth();
+        });
+
+        window.addEventListener('auth-session-expiring', (e) => this.showWarning(e.detail.expiresAt));
+        window.addEventListener('auth-session-expired', (e) => {
+            this.hideWarning();
+            if (e.detail.reason === 'idle' || e.detail.reason === 'signed-out-elsewhere') {
+                this.showSignedOutNotice(e.detail.reason);
+            } else {
+                this.showReauth(e.detail.reason);
+            }
+        });
+
+        // A restored session (refresh or new sign-in) clears the warning and the dialog
+        const watchAuth = () => window.authManager.onAuthChange((session) => {
+            if (session && window.authManager.isSessionExpired()) return;
+            this.hideWarning();
+            this.hideReauth();
+        });
+        if (window.authManager) {
+            watchAuth();
+        } else {
+            window.addEventListener('supabase-ready', watchAuth, { once: true });
+        }
+    }
+
+    showWarning(expiresAt) {
+        const render = () => {
+            const minutes = Math.max(0, Math.ceil((expiresAt - Date.now()) / 60000));
+            this.banner.innerHTML = `
+                <span>Your session could not be renewed and ends in ${minutes} min${minutes === 1 ? '' : 's'}.</span>
+                <button class="session-banner-action" data-action="extend">Stay signed in</button>
+            `;
+            this.banner.querySelector('[data-action="extend"]').addEventListener('click', () => this.extend());
+        };
+
+        clearInterval(this.countdownTimer);
+        render();
+        this.countdownTimer = setInterval(render, 30000);
+        this.banner.classList.remove('hidden');
+    }
+
+    async extend() {
+        const result = await window.authManager.extendSession();
+        if (result.success) {
+            this.hideWarning();
+        } else {
+            this.app.showError(result.error);
+        }
+    }
+
+    hideWarning() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.banner.classList.add('hidden');
+    }
+
+    showSignedOutNotice(reason) {
+        const minutes = window.tomboloConfig.idleTimeoutMinutes;
+        this.banner.innerHTML = `
+            <span>${reason === 'idle' ? `You were signed out after ${minutes} minutes without activity.` : 'You signed out in another tab.'}</span>
+            <a class="session-banner-action" href="./admin-login.html">Sign in</a>
+            <button class="session-banner-action" data-action="dismiss" aria-label="Dismiss">×</button>
+        `;
+        this.banner.querySelector('[data-action="dismiss"]').addEventListener('click', () => this.hideWarning());
+        this.banner.classList.remove('hidden');
+    }
+
+    showReauth(reason) {
+        const { modal, message, email, password, error } = this.elements;
+        const user = window.authManager.getUser();
+        const unsaved = document.querySelector('.tombolo-edit-form') !== null;
+
+        message.textContent = (reason === 'refresh-failed'
+            ? 'Your session was ended and could not be renewed.'
+            : 'Your session has expired.') +
+            (unsaved ? ' Sign in again to save your changes; the open form is kept.' : ' Sign in again to continue.');
+        email.value = user ? user.email : '';
+        password.value = '';
+        error.classList.add('hidden');
+        modal.classList.add('active');
+        password.focus();
+    }
+
+    hideReauth() {
+        this.elements.modal.classList.remove('active');
+        this.elements.password.value = '';
+    }
+
+    async reauthenticate() {
+        const { password, error, submit } = this.elements;
+        if (!password.value) {
+            error.textContent = 'Please enter your password.';
+            error.classList.remove('hidden');
+            return;
+        }
+
+        submit.disabled = true;
+        const result = await window.authManager.reauthenticate(password.value);
+        submit.disabled = false;
+
+        if (result.success) {
+            console.log('✅ Signed in again, session restored');
+            this.hideReauth();
+            return;
+        }
+        error.textContent = result.error;
+        error.classList.remove('hidden');
+    }
+}
@@ -0,0 +1,62 @@
+-- Tombolos Web Map - Change history
+-- Every insert, update and delete on public.tombolos is recorded in public.tombolo_history by a trigger,
+-- whichever client made it. The rows are read by SupabaseDataSource.getHistory (the editor's History view
+-- and "Revert to this version"). Apply with `supabase db push` or paste into the SQL editor.
+
+create table if not exists public.tombolo_history (
+    id bigint generated always as identity primary key,
+    tombolo_id bigint not null,
+    action text not null check (action in ('create', 'update', 'delete')),
+    changed_at timestamptz not null default now(),
+    changed_by uuid,
+    changed_by_email text,
+    -- Full record snapshots; null for creates (before) and deletes (after)
+    before jsonb,
+    after jsonb
+);
+
+create index if not exists tombolo_history_tombolo_idx
+    on public.tombolo_history (tombolo_id, changed_at desc);
+
+-- Runs with the owner's rights so it can write the history that clients themselves cannot
+create or replace function public.record_tombolo_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    -- Updates that change nothing leave no revision
+    if tg_op = 'UPDATE' and to_jsonb(old) = to_jsonb(new) then
+        return null;
+    end if;
+
+    insert into public.tombolo_history (tombolo_id, action, changed_by, changed_by_email, before, after)
+    values (
+        case when tg_op = 'DELETE' then old.id else new.id end,
+        case tg_op when 'INSERT' then 'create' when 'UPDATE' then 'update' else 'delete' end,
+        auth.uid(),
+        auth.jwt() ->> 'email',
+        case when tg_op = 'INSERT' then null else to_jsonb(old) end,
+        case when tg_op = 'DELETE' then null else to_jsonb(new) end
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists tombolos_record_history on public.tombolos;
+create trigger tombolos_record_history
+    after insert or update or delete on public.tombolos
+    for each row execute function public.record_tombolo_history();
+
+-- Clients may read the history but never write it: there are no write policies and no write grants
+alter table public.tombolo_history enable row level security;
+
+revoke insert, update, delete, truncate on public.tombolo_history from anon, authenticated;
+grant select on public.tombolo_history to authenticated;
+
+drop policy if exists "Signed-in users read the history" on public.tombolo_history;
+create policy "Signed-in users read the history"
+    on public.tombolo_history for select
+    to authenticated
+    using (true);
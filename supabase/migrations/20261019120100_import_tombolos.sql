@@ -0,0 +1,54 @@
+-- Tombolos Web Map - Bulk import
+-- import_tombolos applies a previewed import batch (SupabaseDataSource.importTombolos) in one transaction:
+-- if any row fails, none of the batch is written. Only roles with the importData permission may call it
+-- (has_permission, see the user roles migration); it runs with the caller's rights, so the RLS policies
+-- of public.tombolos apply as well, and the history trigger records every row.
+--
+--   inserts: [{ <column>: <value>, ... }]             (rows without an id get one from the database)
+--   updates: [{ "id": <id>, "changes": { <column>: <value>, ... } }]
+
+create or replace function public.import_tombolos(inserts jsonb, updates jsonb)
+returns setof public.tombolos
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+    item jsonb;
+    columns text;
+    stored public.tombolos;
+begin
+    if not public.has_permission('importData') then
+        raise exception 'Only admins can import tombolos' using errcode = '42501';
+    end if;
+
+    for item in select value from jsonb_array_elements(coalesce(inserts, '[]'::jsonb)) loop
+        -- Only the given columns are inserted so that column defaults (the id) still apply
+        select string_agg(quote_ident(key), ', ') into columns from jsonb_object_keys(item) as key;
+        execute format(
+            'insert into public.tombolos (%1$s) select %1$s from jsonb_populate_record(null::public.tombolos, $1) returning *',
+            columns
+        ) using item into stored;
+        return next stored;
+    end loop;
+
+    for item in select value from jsonb_array_elements(coalesce(updates, '[]'::jsonb)) loop
+        select string_agg(quote_ident(key), ', ') into columns from jsonb_object_keys(item -> 'changes') as key;
+        if columns is null then
+            continue;
+        end if;
+        stored := null;
+        execute format(
+            'update public.tombolos set (%1$s) = (select %1$s from jsonb_populate_record(null::public.tombolos, $1)) where id = $2 returning *',
+            columns
+        ) using item -> 'changes', (item ->> 'id')::bigint into stored;
+        if stored.id is null then
+            raise exception 'Tombolo % not found', item ->> 'id';
+        end if;
+        return next stored;
+    end loop;
+end;
+$$;
+
+revoke execute on function public.import_tombolos(jsonb, jsonb) from public, anon;
+grant execute on function public.import_tombolos(jsonb, jsonb) to authenticated;
@@ -0,0 +1,212 @@
+-- Tombolos Web Map - User roles
+-- Server-side counterpart of USER_ROLES and ROLE_PERMISSIONS in auth.js: the role claim, the functions
+-- behind the admin Users screen and the row level security that enforces each role's permissions.
+-- Keep has_permission() in step with ROLE_PERMISSIONS when the matrix changes.
+--
+-- Roles live in auth.users.raw_app_meta_data ->> 'role' (app_metadata cannot be edited by users).
+-- The access token hook copies the role into a `user_role` claim; enable it under
+-- Authentication > Hooks > Customize Access Token (JWT) Claims. Accounts with the older is_admin flag
+-- count as admins until an admin assigns them a role.
+--
+-- Restricted fields (RESTRICTED_FIELDS in config.js) are only hidden by the app. To protect them, revoke
+-- the table's select privilege from anon and grant it back on the other columns only, e.g.
+--   revoke select on public.tombolos from anon;
+--   grant select (id, name_en, ...) on public.tombolos to anon;
+
+-- Role stored for a user, as the app reads it
+create or replace function public.stored_user_role(app_metadata jsonb)
+returns text
+language sql
+immutable
+as $$
+    select case
+        when app_metadata ->> 'role' in ('viewer', 'contributor', 'editor', 'admin') then app_metadata ->> 'role'
+        when app_metadata ->> 'is_admin' = 'true' then 'admin'
+        else 'viewer'
+    end
+$$;
+
+-- Role of the requesting user (null for anonymous requests), read from the JWT like AuthManager.getRole
+create or replace function public.current_user_role()
+returns text
+language sql
+stable
+as $$
+    select case
+        when auth.uid() is null then null
+        when auth.jwt() ->> 'user_role' in ('viewer', 'contributor', 'editor', 'admin') then auth.jwt() ->> 'user_role'
+        else public.stored_user_role(auth.jwt() -> 'app_metadata')
+    end
+$$;
+
+-- May the requesting user perform an action of ROLE_PERMISSIONS?
+create or replace function public.has_permission(action text)
+returns boolean
+language sql
+stable
+as $$
+    select coalesce(public.current_user_role() = any (case action
+        when 'viewRestrictedFields' then array['viewer', 'contributor', 'editor', 'admin']
+        when 'suggestEdits' then array['contributor', 'editor', 'admin']
+        when 'approveEdits' then array['editor', 'admin']
+        when 'deleteTombolos' then array['editor', 'admin']
+        when 'importData' then array['admin']
+        when 'manageUsers' then array['admin']
+        else array[]::text[]
+    end), false)
+$$;
+
+-- Access token hook: adds the stored role as the `user_role` claim
+create or replace function public.custom_access_token_hook(event jsonb)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+    role text;
+begin
+    select public.stored_user_role(raw_app_meta_data) into role
+    from auth.users
+    where id = (event ->> 'user_id')::uuid;
+
+    return jsonb_set(event, '{claims,user_role}', to_jsonb(coalesce(role, 'viewer')));
+end;
+$$;
+
+grant usage on schema public to supabase_auth_admin;
+grant execute on function public.custom_access_token_hook(jsonb) to supabase_auth_admin;
+revoke execute on function public.custom_access_token_hook(jsonb) from public, anon, authenticated;
+
+-- Users and their roles for the admin Users screen (AuthManager.listUserRoles)
+create or replace function public.list_user_roles()
+returns table (id uuid, email text, role text)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_permission('manageUsers') then
+        raise exception 'Only admins can list user roles' using errcode = '42501';
+    end if;
+
+    return query
+        select u.id, u.email::text, public.stored_user_role(u.raw_app_meta_data)
+        from auth.users u
+        order by u.email;
+end;
+$$;
+
+-- Assign a role (AuthManager.setUserRole). It takes effect when the user's token is next refreshed.
+create or replace function public.set_user_role(target_user_id uuid, new_role text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not public.has_permission('manageUsers') then
+        raise exception 'Only admins can change user roles' using errcode = '42501';
+    end if;
+    if new_role is null or new_role not in ('viewer', 'contributor', 'editor', 'admin') then
+        raise exception 'Unknown role: %', new_role using errcode = '22023';
+    end if;
+    if target_user_id = auth.uid() then
+        raise exception 'You cannot change your own role' using errcode = '42501';
+    end if;
+
+    -- The legacy is_admin flag is dropped so that demoting an old admin sticks
+    update auth.users
+    set raw_app_meta_data = (coalesce(raw_app_meta_data, '{}'::jsonb) - 'is_admin') || jsonb_build_object('role', new_role)
+    where id = target_user_id;
+    if not found then
+        raise exception 'User % not found', target_user_id using errcode = 'P0002';
+    end if;
+end;
+$$;
+
+revoke execute on function public.list_user_roles() from public, anon;
+revoke execute on function public.set_user_role(uuid, text) from public, anon;
+grant execute on function public.list_user_roles() to authenticated;
+grant execute on function public.set_user_role(uuid, text) to authenticated;
+
+-- Tombolos: everyone reads, editors write, deleting needs its own permission
+alter table public.tombolos enable row level security;
+
+drop policy if exists "Anyone reads tombolos" on public.tombolos;
+create policy "Anyone reads tombolos"
+    on public.tombolos for select
+    using (true);
+
+drop policy if exists "Editors add tombolos" on public.tombolos;
+create policy "Editors add tombolos"
+    on public.tombolos for insert
+    to authenticated
+    with check (public.has_permission('approveEdits'));
+
+drop policy if exists "Editors update tombolos" on public.tombolos;
+create policy "Editors update tombolos"
+    on public.tombolos for update
+    to authenticated
+    using (public.has_permission('approveEdits'))
+    with check (public.has_permission('approveEdits'));
+
+drop policy if exists "Permitted roles delete tombolos" on public.tombolos;
+create policy "Permitted roles delete tombolos"
+    on public.tombolos for delete
+    to authenticated
+    using (public.has_permission('deleteTombolos'));
+
+-- History is reviewed by editors (replaces the read-for-all-users policy of the history migration)
+drop policy if exists "Signed-in users read the history" on public.tombolo_history;
+drop policy if exists "Editors read the history" on public.tombolo_history;
+create policy "Editors read the history"
+    on public.tombolo_history for select
+    to authenticated
+    using (public.has_permission('approveEdits'));
+
+-- Suggestions: contributors propose changes to existing tombolos, editors review them
+create table if not exists public.tombolo_suggestions (
+    id bigint generated always as identity primary key,
+    tombolo_id bigint not null references public.tombolos (id) on delete cascade,
+    changes jsonb not null,
+    status text not null default 'pending' check (status in ('pending', 'approved', 'rejected')),
+    suggested_at timestamptz not null default now(),
+    suggested_by uuid default auth.uid(),
+    suggested_by_email text,
+    reviewed_by uuid,
+    reviewed_at timestamptz
+);
+
+create index if not exists tombolo_suggestions_pending_idx
+    on public.tombolo_suggestions (tombolo_id, suggested_at)
+    where status = 'pending';
+
+alter table public.tombolo_suggestions enable row level security;
+
+revoke delete, truncate on public.tombolo_suggestions from anon, authenticated;
+grant select, insert, update on public.tombolo_suggestions to authenticated;
+
+drop policy if exists "Contributors suggest edits" on public.tombolo_suggestions;
+create policy "Contributors suggest edits"
+    on public.tombolo_suggestions for insert
+    to authenticated
+    with check (
+        public.has_permission('suggestEdits')
+        and suggested_by = auth.uid()
+        and status = 'pending'
+        and reviewed_by is null
+    );
+
+drop policy if exists "Editors and authors read suggestions" on public.tombolo_suggestions;
+create policy "Editors and authors read suggestions"
+    on public.tombolo_suggestions for select
+    to authenticated
+    using (public.has_permission('approveEdits') or suggested_by = auth.uid());
+
+drop policy if exists "Editors review suggestions" on public.tombolo_suggestions;
+create policy "Editors review suggestions"
+    on public.tombolo_suggestions for update
+    to authenticated
+    using (public.has_permission('approveEdits'))
+    with check (public.has_permission('approveEdits') and reviewed_by = auth.uid());
@@ -0,0 +1,40 @@
+-- Tombolos Web Map - Normalized text values
+-- The app trims text values and treats blanks as missing (normalizeTomboloRecord in data-sources.js) before
+-- it counts facets, while filters run in the database. Storing the same normalized values keeps both in
+-- step: a type with a trailing space would otherwise be offered as a filter that matches no rows.
+
+create or replace function public.normalize_tombolo_text()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.name_en := nullif(btrim(new.name_en), '');
+    new.name_gr := nullif(btrim(new.name_gr), '');
+    new.prefecture_en := nullif(btrim(new.prefecture_en), '');
+    new.island_en := nullif(btrim(new.island_en), '');
+    new.tombolo_type := nullif(btrim(new.tombolo_type), '');
+    new.tombolo_category := nullif(btrim(new.tombolo_category), '');
+    new.submerged := nullif(btrim(new.submerged), '');
+    new.sub_rcp26 := nullif(btrim(new.sub_rcp26), '');
+    new.sub_rcp85 := nullif(btrim(new.sub_rcp85), '');
+    return new;
+end;
+$$;
+
+drop trigger if exists tombolos_normalize_text on public.tombolos;
+create trigger tombolos_normalize_text
+    before insert or update on public.tombolos
+    for each row execute function public.normalize_tombolo_text();
+
+-- Normalize the stored rows (the trigger does the work; unchanged rows leave no history revision)
+update public.tombolos
+set name_en = name_en
+where name_en is distinct from nullif(btrim(name_en), '')
+   or name_gr is distinct from nullif(btrim(name_gr), '')
+   or prefecture_en is distinct from nullif(btrim(prefecture_en), '')
+   or island_en is distinct from nullif(btrim(island_en), '')
+   or tombolo_type is distinct from nullif(btrim(tombolo_type), '')
+   or tombolo_category is distinct from nullif(btrim(tombolo_category), '')
+   or submerged is distinct from nullif(btrim(submerged), '')
+   or sub_rcp26 is distinct from nullif(btrim(sub_rcp26), '')
+   or sub_rcp85 is distinct from nullif(btrim(sub_rcp85), '');
@@ -0,0 +1,136 @@
+/**
+ * Tombolos Web Map - Service Worker
+ * Precaches the app shell and keeps recently viewed basemap tiles for offline use.
+ * Tombolo data itself is cached in IndexedDB by offline-cache.js; the bundled GeoJSON is precached
+ * so the local data source also loads offline.
+ */
+
+// Set to the commit SHA by the deploy workflow, so every deployment installs a fresh app shell
+const CACHE_VERSION = 'dev';
+const SHELL_CACHE = `tombolos-shell-${CACHE_VERSION}`;
+const TILE_CACHE = 'tombolos-tiles';
+const MAX_TILES = 600;
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './app.js',
+    './styles.css',
+    './measurement-tool.js',
+    './proximity.js',
+    './scenario.js',
+    './thematic-style.js',
+    './results-table.js',
+    './tombolo-editor.js',
+    './tombolo-import.js',
+    './session-monitor.js',
+    './config.js',
+    './auth.js',
+    './data-sources.js',
+    './offline-cache.js',
+    './faceting.js',
+    './url-state.js',
+    './search.js',
+    './export.js',
+    './simple-dropdown-limit.js',
+    './favicon.svg',
+    // Dataset of the local data source (the fallback when Supabase is unavailable)
+    './data/tombolos.geojson'
+];
+
+// Third-party libraries the shell cannot start without (index.html loads them with crossorigin)
+const CDN_ASSETS = [
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+    'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/MarkerCluster.Default.css',
+    'https://unpkg.com/leaflet.markercluster@1.5.3/dist/leaflet.markercluster.js',
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2'
+];
+
+const TILE_HOSTS = /(tile\.openstreetmap\.org|tile\.opentopomap\.org|server\.arcgisonline\.com|basemaps\.cartocdn\.com)$/;
+const CDN_HOSTS = /^(unpkg\.com|cdn\.jsdelivr\.net|fonts\.googleapis\.com|fonts\.gstatic\.com)$/;
+
+let tilesSinceTrim = 0;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(APP_SHELL);
+        // CDN assets are best effort so one unreachable host does not block installation
+        await Promise.all(CDN_ASSETS.map(url => cache.add(new Request(url, { mode: 'cors' })).catch(() => {})));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('tombolos-') && key !== SHELL_CACHE && key !== TILE_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (TILE_HOSTS.test(url.hostname)) {
+        event.respondWith(networkFirst(request, TILE_CACHE, true));
+    } else if (CDN_HOSTS.test(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE, false));
+    }
+    // Everything else (Supabase API calls) goes straight to the network
+});
+
+async function networkFirst(request, cacheName, isTile) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        // Only readable responses are kept: browsers charge every opaque entry several MB of quota, which would
+        // soon evict the IndexedDB data cache. Tile layers request CORS responses (crossOrigin in app.js).
+        if (response && response.ok) {
+            await cache.put(request, response.clone());
+            if (isTile && ++tilesSinceTrim >= 50) {
+                tilesSinceTrim = 0;
+                trimCache(cache, MAX_TILES);
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: !isTile });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('./index.html');
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response && response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+    return cached || network;
+}
+
+// Drop the oldest entries (cache keys keep insertion order)
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,306 @@
+/**
+ * Tombolos Web Map - Thematic Styling
+ * "Style by" legend control: colours (and optionally sizes) markers by a categorical or numeric
+ * field of the current results. Numeric fields are classified by quantiles, equal intervals or
+ * natural breaks (Jenks). The default risk scheme (TOMBOLO_RISK_LEVELS) stays the first choice.
+ */
+
+const STYLE_FIELDS = [
+    { key: 'risk', label: 'Risk (default)', type: 'risk' },
+    { key: 'tombolo_type', label: 'Type', type: 'category' },
+    { key: 'tombolo_category', label: 'Category', type: 'category' },
+    { key: 'prefecture_en', label: 'Prefecture', type: 'category' },
+    { key: 'length_m', label: 'Length (m)', type: 'numeric' },
+    { key: 'height_m', label: 'Height (m)', type: 'numeric' },
+    { key: 'elevation', label: 'Elevation (m)', type: 'numeric' }
+];
+
+const CLASSIFICATION_METHODS = {
+    quantile: 'Quantiles',
+    equal: 'Equal intervals',
+    jenks: 'Natural breaks'
+};
+
+// Sequential ramp for numeric classes and qualitative palette for categories (beyond it: "Other")
+const SEQUENTIAL_COLORS = ['#ffffcc', '#c7e9b4', '#7fcdbb', '#41b6c4', '#1d91c0', '#225ea8', '#0c2c84'];
+const CATEGORY_COLORS = ['#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948', '#b07aa1', '#ff9da7', '#9c755f'];
+const STYLE_OTHER_COLOR = '#8c8c8c';
+const STYLE_NO_DATA_COLOR = '#d0d0d0';
+
+// Marker radius range (px) when sizing by value; the default radius otherwise
+const STYLE_RADIUS_MIN = 6;
+const STYLE_RADIUS_MAX = 15;
+const STYLE_RADIUS_DEFAULT = 10;
+
+// Upper bounds of `count` classes holding about the same number of values (values sorted ascending)
+function quantileBreaks(values, count) {
+    const breaks = [];
+    for (let i = 1; i <= count; i++) {
+        breaks.push(values[Math.max(0, Math.ceil(i * values.length / count) - 1)]);
+    }
+    return breaks;
+}
+
+// Upper bounds of `count` classes of equal width (values sorted ascending)
+function equalIntervalBreaks(values, count) {
+    const min = values[0];
+    const max = values[values.length - 1];
+    return Array.from({ length: count }, (_, i) => i === count - 1 ? max : min + (max - min) * (i + 1) / count);
+}
+
+// Upper bounds of `count` classes minimizing the variance within classes (Jenks; values sorted ascending)
+function jenksBreaks(values, count) {
+    // The algorithm is quadratic, so large datasets are classified on an even sample
+    const data = values.length > 1000
+        ? Array.from({ length: 1000 }, (_, i) => values[Math.round(i * (values.length - 1) / 999)])
+        : values;
+    const n = data.length;
+    const lower = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(0));
+    const variance = Array.from({ length: n + 1 }, () => new Array(count + 1).fill(Infinity));
+    for (let j = 1; j <= count; j++) {
+        lower[1][j] = 1;
+        variance[1][j] = 0;
+    }
+
+    for (let l = 2; l <= n; l++) {
+        let sum = 0, sumSquares = 0, w = 0, v = 0;
+        for (let m = 1; m <= l; m++) {
+            const i = l - m + 1;
+            const value = data[i - 1];
+            w++;
+            sum += value;
+            sumSquares += value * value;
+            v = sumSquares - (sum * sum) / w;
+            if (i > 1) {
+                for (let j = 2; j <= count; j++) {
+                    if (variance[l][j] >= v + variance[i - 1][j - 1]) {
+                        lower[l][j] = i;
+                        variance[l][j] = v + variance[i - 1][j - 1];
+                    }
+                }
+            }
+        }
+        lower[l][1] = 1;
+        variance[l][1] = v;
+    }
+
+    const breaks = new Array(count);
+    breaks[count - 1] = data[n - 1];
+    let k = n;
+    for (let j = count; j >= 2; j--) {
+        const index = lower[k][j] - 1;
+        breaks[j - 2] = data[Math.max(0, index - 1)];
+        k = index;
+    }
+    return breaks;
+}
+
+class ThematicStyler {
+    constructor(app) {
+        this.app = app;
+        this.map = app.map;
+        this.field = 'risk';
+        this.method = 'quantile';
+        this.classCount = 5;
+        this.sizeByValue = false;
+        this.classes = [];
+        this.legend = null;
+        this.legendDiv = null;
+
+        this.init();
+    }
+
+    init() {
+        this.legend = L.control({ position: 'bottomleft' });
+        this.legend.onAdd = () => {
+            const div = L.DomUtil.create('div', 'map-legend');
+            L.DomEvent.disableClickPropagation(div);
+            L.DomEvent.disableScrollPropagation(div);
+
+            div.addEventListener('change', (e) => {
+                const { name, value, checked } = e.target;
+                if (name === 'field') this.field = value;
+                if (name === 'method') this.method = value;
+                if (name === 'classes') this.classCount = Number(value);
+                if (name === 'size') this.sizeByValue = checked;
+                this.update(this.app.currentData);
+                this.app.restyleMarkers();
+            });
+            div.addEventListener('click', (e) => {
+                if (e.target.closest('.map-legend-toggle')) div.classList.toggle('collapsed');
+            });
+
+            this.legendDiv = div;
+            return div;
+        };
+        this.legend.addTo(this.map);
+        this.update([]);
+    }
+
+    fieldInfo() {
+        return STYLE_FIELDS.find(field => field.key === this.field) || STYLE_FIELDS[0];
+    }
+
+    // Classify the records for the chosen field and redraw the legend
+    update(records) {
+        const field = this.fieldInfo();
+        if (field.type === 'risk') {
+            this.classes = TOMBOLO_RISK_LEVELS.map(level => ({
+                label: level.label,
+                color: level.color,
+                matches: record => tomboloRiskLevel(record).key === level.key
+            }));
+        } else if (field.type === 'category') {
+            this.classes = this.categoryClasses(records, field.key);
+        } else {
+            this.classes = this.numericClasses(records, field.key);
+        }
+
+        this.classes.forEach(item => { item.count = records.filter(record => item.matches(record)).length; });
+        this.renderLegend();
+    }
+
+    // Categories are keyed on the value the filter facets use (normalizeTomboloValue)
+    categoryClasses(records, key) {
+        const counts = new Map();
+        records.forEach(record => {
+            const value = normalizeTomboloValue(record[key]);
+            if (value === null) return;
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        // Most frequent categories get their own colour
+        const ranked = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a) || String(a).localeCompare(String(b)));
+        const named = ranked.slice(0, CATEGORY_COLORS.length);
+        const classes = named.map((value, i) => ({
+            label: String(value),
+            color: CATEGORY_COLORS[i],
+            matches: record => normalizeTomboloValue(record[key]) === value
+        }));
+        if (ranked.length > named.length) {
+            classes.push({
+                label: 'Other',
+                color: STYLE_OTHER_COLOR,
+                matches: record => {
+                    const value = normalizeTomboloValue(record[key]);
+                    return counts.has(value) && !named.includes(value);
+                }
+            });
+        }
+        classes.push(this.noDataClass(key));
+        return classes;
+    }
+
+    numericClasses(records, key) {
+        const values = records
+            .map(record => parseFloat(record[key]))
+            .filter(Number.isFinite)
+            .sort((a, b) => a - b);
+        if (values.length === 0) return [this.noDataClass(key)];
+
+        const count = Math.min(this.classCount, new Set(values).size);
+        const compute = { quantile: quantileBreaks, equal: equalIntervalBreaks, jenks: jenksBreaks }[this.method];
+        // Duplicate bounds (many equal values) merge into one class
+        const breaks = Array.from(new Set(compute(values, count)));
+        const format = value => Number(value.toFixed(2)).toLocaleString();
+
+        const classes = breaks.map((upper, i) => {
+            const lower = i === 0 ? values[0] : breaks[i - 1];
+            const colorIndex = breaks.length === 1 ? SEQUENTIAL_COLORS.length - 1 : Math.round(i * (SEQUENTIAL_COLORS.length - 1) / (breaks.length - 1));
+            const radius = breaks.length === 1 ? STYLE_RADIUS_DEFAULT :
+                STYLE_RADIUS_MIN + (STYLE_RADIUS_MAX - STYLE_RADIUS_MIN) * i / (breaks.length - 1);
+            return {
+                label: i === 0 ? `${format(lower)} – ${format(upper)}` : `> ${format(lower)} – ${format(upper)}`,
+                color: SEQUENTIAL_COLORS[colorIndex],
+                radius,
+                matches: record => {
+                    const value = parseFloat(record[key]);
+                    return Number.isFinite(value) && (i === 0 ? value <= upper : value > lower && value <= upper);
+                }
+            };
+        });
+        classes.push(this.noDataClass(key));
+        return classes;
+    }
+
+    noDataClass(key) {
+        return {
+            label: 'No data',
+            color: STYLE_NO_DATA_COLOR,
+            matches: record => {
+                const value = normalizeTomboloValue(record[key]);
+                return value === null || (this.fieldInfo().type === 'numeric' && !Number.isFinite(parseFloat(value)));
+            }
+        };
+    }
+
+    classFor(record) {
+        return this.classes.find(item => item.matches(record)) || null;
+    }
+
+    // Marker fill colour (used by getMarkerColor)
+    colorFor(record) {
+        const match = this.classFor(record);
+        return match ? match.color : STYLE_NO_DATA_COLOR;
+    }
+
+    // Marker radius (used by getMarkerRadius); only numeric classes can size markers
+    radiusFor(record) {
+        if (!this.sizeByValue || this.fieldInfo().type !== 'numeric') return STYLE_RADIUS_DEFAULT;
+        const match = this.classFor(record);
+        return match && match.radius ? match.radius : STYLE_RADIUS_MIN;
+    }
+
+    renderLegend() {
+        if (!this.legendDiv) return;
+
+        const field = this.fieldInfo();
+        const numeric = field.type === 'numeric';
+        const fieldOptions = STYLE_FIELDS
+            .map(item => `<option value="${item.key}"${item.key === this.field ? ' selected' : ''}>${item.label}</option>`)
+            .join('');
+        const methodOptions = Object.keys(CLASSIFICATION_METHODS)
+            .map(key => `<option value="${key}"${key === this.method ? ' selected' : ''}>${CLASSIFICATION_METHODS[key]}</option>`)
+            .join('');
+        const classOptions = [3, 4, 5, 6, 7]
+            .map(count => `<option value="${count}"${count === this.classCount ? ' selected' : ''}>${count} classes</option>`)
+            .join('');
+
+        let items;
+        if (this.app.scenarioExplorer && this.app.scenarioExplorer.isActive) {
+            items = '<li class="filter-hint">Markers show the sea-level-rise scenario (see its panel)</li>';
+        } else {
+            items = this.classes
+                .filter(item => item.count > 0 || field.type === 'risk')
+                .map(item => {
+                    const size = numeric && this.sizeByValue && item.radius ? item.radius * 2 : 12;
+                    return `
+                        <li>
+                            <span class="legend-swatch" style="background: ${item.color}; width: ${size}px; height: ${size}px;"></span>
+                            <span class="map-legend-label">${this.app.escapeHtml(item.label)}</span>
+                            <span class="map-legend-count">${item.count}</span>
+                        </li>
+                    `;
+                }).join('');
+        }
+
+        this.legendDiv.innerHTML = `
+            <button class="map-legend-toggle" aria-label="Show or hide the legend">Legend</button>
+            <div class="map-legend-body">
+                <label class="map-legend-row">Style by
+                    <select name="field">${fieldOptions}</select>
+                </label>
+                ${numeric ? `
+                    <div class="map-legend-row">
+                        <select name="method" aria-label="Classification">${methodOptions}</select>
+                        <select name="classes" aria-label="Number of classes">${classOptions}</select>
+                    </div>
+                    <label class="map-legend-row map-legend-check">
+                        <input type="checkbox" name="size"${this.sizeByValue ? ' checked' : ''}> Size by value
+                    </label>
+                ` : ''}
+                <ul class="map-legend-items">${items}</ul>
+            </div>
+        `;
+    }
+}
@@ -0,0 +1,615 @@
+/**
+ * Tombolos Web Map - Record Editing
+ * Editing tools shown according to the signed-in user's permissions (see ROLE_PERMISSIONS in auth.js):
+ * editors add tombolos by clicking the map, drag a pin to correct coordinates, edit every detail field
+ * with type validation, review suggestions and, with the deleteTombolos permission, delete records after
+ * confirmation; contributors suggest changes. Nothing is rendered for visitors without these permissions.
+ */
+
+// Coordinates are edited alongside the detail fields
+const TOMBOLO_COORDINATE_FIELDS = [
+    { key: 'latitude', label: 'Latitude', type: 'number', min: -90, max: 90, required: true },
+    { key: 'longitude', label: 'Longitude', type: 'number', min: -180, max: 180, required: true }
+];
+
+// Field-level differences between two record snapshots as [{ key, label, before, after }]
+function tomboloChanges(before, after) {
+    const labels = {};
+    TOMBOLO_FIELDS.concat(TOMBOLO_COORDINATE_FIELDS).forEach(field => { labels[field.key] = field.label; });
+    const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+    keys.delete('reference');
+
+    return Array.from(keys)
+        .filter(key => String((before || {})[key] ?? '') !== String((after || {})[key] ?? ''))
+        .map(key => ({
+            key,
+            label: labels[key] || key,
+            before: (before || {})[key] ?? null,
+            after: (after || {})[key] ?? null
+        }));
+}
+
+// Plain decimal numbers, optionally signed or in exponent notation. Number() alone would also accept
+// hex, binary and octal literals ('0x1A') that are never meant as measurements.
+const TOMBOLO_NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+// Check raw (form or file) values against field definitions.
+// Returns { record, errors } where blanks become null and errors maps field keys to messages.
+function validateTomboloRecord(values, fields = TOMBOLO_FIELDS.concat(TOMBOLO_COORDINATE_FIELDS)) {
+    const record = {};
+    const errors = {};
+
+    fields.forEach(field => {
+        if (!(field.key in values)) return;
+        const raw = values[field.key];
+        const text = raw === null || raw === undefined ? '' : String(raw).trim();
+
+        if (text === '') {
+            record[field.key] = null;
+            if (field.required) errors[field.key] = `${field.label} is required`;
+            return;
+        }
+
+        if (field.type === 'integer' || field.type === 'number') {
+            const number = TOMBOLO_NUMBER_PATTERN.test(text) ? Number(text) : NaN;
+            if (!Number.isFinite(number)) {
+                errors[field.key] = `${field.label} must be a number (got "${text}")`;
+            } else if (field.type === 'integer' && !Number.isInteger(number)) {
+                errors[field.key] = `${field.label} must be a whole number`;
+            } else if (field.min !== undefined && field.max !== undefined && (number < field.min || number > field.max)) {
+                errors[field.key] = `${field.label} must be between ${field.min} and ${field.max}`;
+            } else if (field.min !== undefined && number < field.min) {
+                errors[field.key] = `${field.label} must be at least ${field.min}`;
+            } else if (field.max !== undefined && number > field.max) {
+                errors[field.key] = `${field.label} must be at most ${field.max}`;
+            }
+            record[field.key] = number;
+        } else if (field.type === 'yesno') {
+            const answer = text.toLowerCase();
+            if (answer !== 'yes' && answer !== 'no') errors[field.key] = `${field.label} must be yes or no`;
+            record[field.key] = answer;
+        } else {
+            record[field.key] = text;
+        }
+    });
+
+    return { record, errors };
+}
+
+class TomboloEditor {
+    constructor(app) {
+        this.app = app;
+        this.map = app.map;
+        this.role = null;
+        this.editMode = false;
+        this.moveHandle = null;
+        this.moveControl = null;
+        this.controls = null;
+        this.hint = null;
+
+        this.init();
+    }
+
+    init() {
+        this.controls = document.createElement('div');
+        this.controls.id = 'admin-controls';
+        this.controls.className = 'user-menu hidden';
+        document.querySelector('.header-actions').appendChild(this.controls);
+
+        this.hint = document.createElement('div');
+        this.hint.className = 'edit-mode-hint hidden';
+        this.hint.textContent = 'Edit mode: click the map to add a tombolo';
+        this.map.getContainer().parentElement.appendChild(this.hint);
+
+        this.map.on('click', (e) => {
+            if (!this.editMode || !this.can('approveEdits')) return;
+            if (this.app.measurementTool && this.app.measurementTool.isActive) return;
+            if (this.app.proximityTool && this.app.proximityTool.isActive) return;
+            if (this.moveHandle) return;
+            this.openForm(null, {
+                latitude: Number(e.latlng.lat.toFixed(6)),
+                longitude: Number(e.latlng.lng.toFixed(6))
+            });
+        });
+
+        // Email links (sign-in, email change) land on the map; report the ones that failed
+        window.addEventListener('auth-redirect', (event) => {
+            const result = event.detail;
+            if (!result.success) {
+                this.app.showError(result.error);
+            } else if (result.message) {
+                console.log('📧', result.message);
+            }
+        });
+
+        // The auth manager only exists once Supabase is ready
+        const watchAuth = () => {
+            window.authManager.onAuthChange(() => this.updateAccess());
+            this.updateAccess();
+        };
+        if (window.authManager) {
+            watchAuth();
+        } else {
+            window.addEventListener('supabase-ready', watchAuth, { once: true });
+        }
+    }
+
+    can(action) {
+        return Boolean(window.authManager && window.authManager.hasPermission(action));
+    }
+
+    // Show or hide every editing control to match the signed-in user's role
+    updateAccess() {
+        const role = window.authManager ? window.authManager.getRole() : null;
+        // Token refreshes also notify; only a role change re-renders (and would discard open forms)
+        if (role === this.role) return;
+        this.role = role;
+
+        if (!this.can('approveEdits')) {
+            this.setEditMode(false);
+            this.cancelMove();
+        }
+        if (!this.can('importData') && this.app.importer) this.app.importer.close();
+
+        // Redraw open details so their actions and restricted fields match the new role
+        const cached = this.app.tomboloDetailsCache.get(this.app.openTomboloId);
+        if (cached && this.app.modalElements.modal.classList.contains('active')) this.app.displayTomboloModal(cached);
+
+        if (!role) {
+            this.controls.classList.add('hidden');
+            this.controls.innerHTML = '';
+            return;
+        }
+
+        const user = window.authManager.getUser();
+        this.controls.innerHTML = `
+            <span class="auth-badge">${role}</span>
+            <span class="user-email" title="${this.app.escapeHtml(user.email || '')}">${this.app.escapeHtml(user.email || '')}</span>
+            ${this.can('approveEdits') ? `<button id="edit-mode-btn" class="edit-mode-btn" aria-pressed="${this.editMode}">Edit mode</button>` : ''}
+            ${this.can('importData') && this.app.importer ? '<button id="import-btn" class="edit-mode-btn">Import</button>' : ''}
+            ${this.can('manageUsers') ? '<a href="./admin-users.html" class="edit-mode-btn">Users</a>' : ''}
+            <a href="./account.html" class="edit-mode-btn">Account</a>
+            <button id="logout-btn">Sign out</button>
+        `;
+        this.controls.classList.remove('hidden');
+
+        const editButton = this.controls.querySelector('#edit-mode-btn');
+        if (editButton) editButton.addEventListener('click', () => this.setEditMode(!this.editMode));
+        const importButton = this.controls.querySelector('#import-btn');
+        if (importButton) importButton.addEventListener('click', () => this.app.importer.open());
+        this.controls.querySelector('#logout-btn').addEventListener('click', async () => {
+            const result = await window.authManager.signOut();
+            if (!result.success) this.app.showError(result.error);
+        });
+    }
+
+    setEditMode(enabled) {
+        this.editMode = enabled && this.can('approveEdits');
+        this.map.getContainer().classList.toggle('edit-mode', this.editMode);
+        this.hint.classList.toggle('hidden', !this.editMode);
+
+        const button = this.controls.querySelector('#edit-mode-btn');
+        if (button) {
+            button.setAttribute('aria-pressed', String(this.editMode));
+            button.classList.toggle('active', this.editMode);
+        }
+    }
+
+    // Editing buttons under the tombolo details (called by displayTomboloModal)
+    decorateDetails(tombolo) {
+        const container = this.app.modalElements.detailsContainer;
+        const actions = document.createElement('div');
+        actions.className = 'admin-actions tombolo-admin-actions';
+
+        if (this.can('approveEdits')) {
+            actions.innerHTML = `
+                <button class="btn-secondary action-button" data-action="edit">Edit</button>
+                <button class="btn-secondary action-button" data-action="move">Move on map</button>
+                <button class="btn-secondary action-button" data-action="history">History</button>
+                ${this.can('deleteTombolos') ? '<button class="btn-secondary action-button action-reject" data-action="delete">Delete</button>' : ''}
+            `;
+            actions.querySelector('[data-action="history"]').addEventListener('click', () => this.showHistory(tombolo));
+            actions.querySelector('[data-action="move"]').addEventListener('click', () => this.startMove(tombolo));
+            if (this.can('deleteTombolos')) {
+                actions.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteTombolo(tombolo));
+            }
+        } else if (this.can('suggestEdits')) {
+            actions.innerHTML = '<button class="btn-secondary action-button" data-action="edit">Suggest an edit</button>';
+        } else {
+            return;
+        }
+
+        actions.querySelector('[data-action="edit"]').addEventListener('click', () => this.openForm(tombolo));
+        container.appendChild(actions);
+
+        if (this.can('approveEdits')) this.showSuggestions(tombolo, container);
+    }
+
+    // Pending contributor suggestions with Approve/Reject, listed under the details
+    async showSuggestions(tombolo, container) {
+        let suggestions;
+        try {
+            suggestions = await this.app.dataSource.getSuggestions(tombolo.id);
+        } catch (error) {
+            console.warn('⚠️ Could not load suggestions:', error);
+            return;
+        }
+        if (suggestions.length === 0 || !container.isConnected) return;
+
+        const section = document.createElement('div');
+        section.className = 'tombolo-suggestions';
+        section.innerHTML = `<h4>Pending Suggestions (${suggestions.length})</h4>`;
+        const format = value => (value === null || value === undefined || value === '' ? '-' : this.app.escapeHtml(String(value)));
+
+        suggestions.forEach(suggestion => {
+            const changes = tomboloChanges(tombolo, { ...tombolo, ...suggestion.changes });
+            const item = document.createElement('div');
+            item.className = 'history-revision';
+            item.innerHTML = `
+                <div class="history-header">
+                    <strong>Suggested</strong>
+                    <span>${new Date(suggestion.suggested_at).toLocaleString()} · ${this.app.escapeHtml(suggestion.suggested_by_email || 'unknown user')}</span>
+                </div>
+                <table class="history-diff">
+                    ${changes.map(change => `
+                        <tr>
+                            <th>${this.app.escapeHtml(change.label)}</th>
+                            <td class="history-before">${format(change.before)}</td>
+                            <td class="history-after">${format(change.after)}</td>
+                        </tr>`).join('')}
+                </table>
+                <div class="admin-actions">
+                    <button class="btn-secondary action-button action-approve" data-action="approve">Approve</button>
+                    <button class="btn-secondary action-button action-reject" data-action="reject">Reject</button>
+                </div>
+            `;
+            item.querySelector('[data-action="approve"]').addEventListener('click', () => this.reviewSuggestion(tombolo, suggestion, true));
+            item.querySelector('[data-action="reject"]').addEventListener('click', () => this.reviewSuggestion(tombolo, suggestion, false));
+            section.appendChild(item);
+        });
+
+        container.appendChild(section);
+    }
+
+    async reviewSuggestion(tombolo, suggestion, approve) {
+        if (!this.can('approveEdits')) return;
+
+        try {
+            if (approve) {
+                await this.app.dataSource.updateTombolo(tombolo.id, suggestion.changes, this.currentUser());
+            }
+            await this.app.dataSource.resolveSuggestion(suggestion.id, approve ? 'approved' : 'rejected', this.currentUser());
+
+            if (approve) await this.app.refreshAfterEdit();
+            this.app.tomboloDetailsCache.delete(String(tombolo.id));
+            this.app.showTomboloDetails(tombolo.id);
+        } catch (error) {
+            console.error('❌ Error reviewing suggestion:', error);
+            this.app.showError(`Failed to review suggestion: ${error.message || error}`);
+        }
+    }
+
+    // Edit form for an existing tombolo, or for a new one when `tombolo` is null
+    // Contributors without approveEdits submit the changes as a suggestion instead of saving them
+    openForm(tombolo, defaults = {}) {
+        const suggesting = !this.can('approveEdits');
+        if (suggesting && !(tombolo && this.can('suggestEdits'))) return;
+
+        const isNew = !tombolo;
+        const values = isNew ? defaults : tombolo;
+        const fields = [TOMBOLO_FIELDS[0], ...TOMBOLO_COORDINATE_FIELDS, ...TOMBOLO_FIELDS.slice(1)];
+        const engine = this.app.filterOptionsCache;
+
+        const form = document.createElement('form');
+        form.className = 'tombolo-edit-form';
+        form.noValidate = true;
+        form.innerHTML = fields.map(field => {
+            const value = values[field.key] === null || values[field.key] === undefined ? '' : values[field.key];
+            const inputId = `edit-${field.key}`;
+            let input;
+
+            if (field.type === 'yesno') {
+                input = `
+                    <select id="${inputId}" name="${field.key}" class="login-input">
+                        <option value=""${value === '' ? ' selected' : ''}>-</option>
+                        <option value="yes"${value === 'yes' ? ' selected' : ''}>yes</option>
+                        <option value="no"${value === 'no' ? ' selected' : ''}>no</option>
+                    </select>`;
+            } else if (field.type === 'text') {
+                // Known values of the filter columns are offered as suggestions
+                const facetKey = Object.keys(TOMBOLO_FILTER_COLUMNS).find(key => TOMBOLO_FILTER_COLUMNS[key] === field.key);
+                const suggestions = facetKey && engine ? engine.allValues[facetKey] || [] : [];
+                input = `
+                    <input type="text" id="${inputId}" name="${field.key}" class="login-input" value="${this.app.escapeHtml(String(value))}"${suggestions.length ? ` list="${inputId}-options"` : ''}>
+                    ${suggestions.length ? `<datalist id="${inputId}-options">${suggestions.map(s => `<option value="${this.app.escapeHtml(String(s))}">`).join('')}</datalist>` : ''}`;
+            } else {
+                const readOnly = field.key === 'id' && !isNew;
+                input = `
+                    <input type="number" id="${inputId}" name="${field.key}" class="login-input" value="${value}"
+                        step="${field.type === 'integer' ? '1' : 'any'}"${readOnly ? ' readonly' : ''}${field.key === 'id' && isNew ? ' placeholder="Assigned automatically"' : ''}>`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label class="form-label" for="${inputId}">${field.label}${field.required ? ' *' : ''}</label>
+                    ${input}
+                    <div class="field-error" data-error-for="${field.key}"></div>
+                </div>`;
+        }).join('') + `
+            <div class="admin-actions">
+                <button type="submit" class="btn-secondary action-button action-approve">${isNew ? 'Create' : suggesting ? 'Submit suggestion' : 'Save'}</button>
+                <button type="button" class="btn-secondary action-button" data-action="cancel">Cancel</button>
+            </div>
+        `;
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.saveForm(form, tombolo, fields, suggesting);
+        });
+        form.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            if (isNew) this.app.closeModal();
+            else this.app.displayTomboloModal(tombolo);
+        });
+
+        this.showInModal(isNew ? 'New Tombolo' : suggesting ? 'Suggest an Edit' : 'Edit Tombolo', form);
+    }
+
+    async saveForm(form, tombolo, fields, suggesting = false) {
+        const values = {};
+        fields.forEach(field => { values[field.key] = form.elements[field.key].value; });
+
+        const { record, errors } = validateTomboloRecord(values, fields);
+        form.querySelectorAll('.field-error').forEach(el => {
+            el.textContent = errors[el.dataset.errorFor] || '';
+        });
+        if (Object.keys(errors).length > 0) {
+            form.querySelector(`[name="${Object.keys(errors)[0]}"]`).focus();
+            return;
+        }
+
+        const submit = form.querySelector('[type="submit"]');
+        submit.disabled = true;
+
+        try {
+            let saved;
+            if (tombolo) {
+                // Send only the fields that actually changed
+                const changes = {};
+                Object.keys(record).forEach(key => {
+                    if (key !== 'id' && String(record[key] ?? '') !== String(tombolo[key] ?? '')) changes[key] = record[key];
+                });
+
+                if (suggesting) {
+                    if (Object.keys(changes).length > 0) {
+                        await this.app.dataSource.createSuggestion(tombolo.id, changes, this.currentUser());
+                    }
+                    this.app.displayTomboloModal(tombolo);
+                    const notice = document.createElement('p');
+                    notice.className = 'suggestion-notice';
+                    notice.textContent = Object.keys(changes).length > 0
+                        ? 'Thank you! Your suggestion will be applied once an editor approves it.'
+                        : 'No changes to suggest.';
+                    this.app.modalElements.detailsContainer.prepend(notice);
+                    return;
+                }
+
+                saved = Object.keys(changes).length > 0 ? await this.app.dataSource.updateTombolo(tombolo.id, changes, this.currentUser()) : tombolo;
+            } else {
+                if (record.id === null) delete record.id;
+                saved = await this.app.dataSource.createTombolo(record, this.currentUser());
+            }
+
+            await this.app.refreshAfterEdit();
+            this.app.showTomboloDetails(saved.id);
+        } catch (error) {
+            console.error('❌ Error saving tombolo:', error);
+            this.app.showError(`Failed to save tombolo: ${error.message || error}`);
+            submit.disabled = false;
+        }
+    }
+
+    async deleteTombolo(tombolo) {
+        if (!this.can('deleteTombolos')) return;
+
+        const name = tombolo.name_en || tombolo.name_gr || `#${tombolo.id}`;
+        const confirmed = await this.confirm(`Delete "${name}" (#${tombolo.id})? This cannot be undone.`, 'Delete');
+        if (!confirmed) return;
+
+        try {
+            await this.app.dataSource.deleteTombolo(tombolo.id, this.currentUser());
+            this.app.closeModal();
+            await this.app.refreshAfterEdit();
+        } catch (error) {
+            console.error('❌ Error deleting tombolo:', error);
+            this.app.showError(`Failed to delete tombolo: ${error.message || error}`);
+        }
+    }
+
+    // Past revisions of a tombolo with field-level diffs; each can be restored
+    async showHistory(tombolo) {
+        if (!this.can('approveEdits')) return;
+
+        const view = document.createElement('div');
+        view.className = 'tombolo-history';
+        view.innerHTML = '<p class="history-empty">Loading history...</p>';
+        this.showInModal(`History - ${tombolo.name_en || `#${tombolo.id}`}`, view);
+
+        let revisions;
+        try {
+            revisions = await this.app.dataSource.getHistory(tombolo.id);
+        } catch (error) {
+            console.error('❌ Error loading tombolo history:', error);
+            view.innerHTML = '<p class="history-empty">History could not be loaded.</p>';
+            return;
+        }
+
+        const actionLabels = { create: 'Created', update: 'Updated', delete: 'Deleted' };
+        const format = value => (value === null || value === undefined || value === '' ? '-' : this.app.escapeHtml(String(value)));
+
+        view.innerHTML = revisions.length === 0 ? '<p class="history-empty">No recorded changes yet.</p>' : '';
+        revisions.forEach(revision => {
+            const changes = tomboloChanges(revision.before, revision.after);
+            // A revision can be restored when the state it left differs from the current record
+            const restorable = revision.after && tomboloChanges(tombolo, revision.after).length > 0;
+
+            const item = document.createElement('div');
+            item.className = `history-revision history-${revision.action}`;
+            item.innerHTML = `
+                <div class="history-header">
+                    <strong>${actionLabels[revision.action] || revision.action}</strong>
+                    <span>${new Date(revision.changed_at).toLocaleString()} · ${this.app.escapeHtml(revision.changed_by_email || 'unknown user')}</span>
+                </div>
+                ${revision.action === 'update' ? `
+                    <table class="history-diff">
+                        ${changes.map(change => `
+                            <tr>
+                                <th>${this.app.escapeHtml(change.label)}</th>
+                                <td class="history-before">${format(change.before)}</td>
+                                <td class="history-after">${format(change.after)}</td>
+                            </tr>`).join('')}
+                    </table>` : ''}
+                ${restorable ? '<button class="btn-secondary action-button" data-action="revert">Revert to this version</button>' : ''}
+            `;
+            if (restorable) {
+                item.querySelector('[data-action="revert"]').addEventListener('click', () => this.revertTo(tombolo, revision));
+            }
+            view.appendChild(item);
+        });
+
+        const back = document.createElement('div');
+        back.className = 'admin-actions';
+        back.innerHTML = '<button class="btn-secondary action-button" data-action="back">Back to details</button>';
+        back.querySelector('[data-action="back"]').addEventListener('click', () => this.app.displayTomboloModal(tombolo));
+        view.appendChild(back);
+    }
+
+    // Restore the field values a revision left the record with (recorded as a new update)
+    async revertTo(tombolo, revision) {
+        const changes = {};
+        tomboloChanges(tombolo, revision.after)
+            .filter(change => change.key !== 'id')
+            .forEach(change => { changes[change.key] = change.after; });
+
+        const when = new Date(revision.changed_at).toLocaleString();
+        const confirmed = await this.confirm(`Revert ${Object.keys(changes).length} field(s) to the version of ${when}?`, 'Revert');
+        if (!confirmed) return;
+
+        try {
+            await this.app.dataSource.updateTombolo(tombolo.id, changes, this.currentUser());
+            await this.app.refreshAfterEdit();
+            this.app.showTomboloDetails(tombolo.id);
+        } catch (error) {
+            console.error('❌ Error reverting tombolo:', error);
+            this.app.showError(`Failed to revert tombolo: ${error.message || error}`);
+        }
+    }
+
+    // Put a draggable pin on the tombolo; its new position is saved from a map control
+    startMove(tombolo) {
+        this.cancelMove();
+        this.app.closeModal();
+
+        const original = L.latLng(tombolo.latitude, tombolo.longitude);
+        this.moveHandle = L.marker(original, {
+            draggable: true,
+            autoPan: true,
+            zIndexOffset: 1000,
+            icon: L.divIcon({ className: 'move-handle', iconSize: [24, 24] })
+        }).addTo(this.map);
+        this.map.setView(original, Math.max(this.map.getZoom(), 14));
+
+        const MoveControl = L.Control.extend({
+            options: { position: 'bottomright' },
+            onAdd: () => {
+                const container = L.DomUtil.create('div', 'leaflet-control move-control');
+                container.innerHTML = `
+                    <p>Drag the pin to the correct position of <strong>${this.app.escapeHtml(tombolo.name_en || `#${tombolo.id}`)}</strong></p>
+                    <p class="move-coordinates"></p>
+                    <div class="admin-actions">
+                        <button class="btn-secondary action-button action-approve" data-action="save">Save position</button>
+                        <button class="btn-secondary action-button" data-action="cancel">Cancel</button>
+                    </div>
+                `;
+                L.DomEvent.disableClickPropagation(container);
+                return container;
+            }
+        });
+        this.moveControl = new MoveControl().addTo(this.map);
+
+        const container = this.moveControl.getContainer();
+        const showPosition = () => {
+            const position = this.moveHandle.getLatLng();
+            container.querySelector('.move-coordinates').textContent = `${position.lat.toFixed(6)}, ${position.lng.toFixed(6)}`;
+        };
+        showPosition();
+        this.moveHandle.on('drag', showPosition);
+
+        container.querySelector('[data-action="cancel"]').addEventListener('click', () => this.cancelMove());
+        container.querySelector('[data-action="save"]').addEventListener('click', async () => {
+            const position = this.moveHandle.getLatLng();
+            const changes = {
+                latitude: Number(position.lat.toFixed(6)),
+                longitude: Number(position.lng.toFixed(6))
+            };
+            try {
+                await this.app.dataSource.updateTombolo(tombolo.id, changes, this.currentUser());
+                this.cancelMove();
+                await this.app.refreshAfterEdit();
+            } catch (error) {
+                console.error('❌ Error moving tombolo:', error);
+                this.app.showError(`Failed to move tombolo: ${error.message || error}`);
+            }
+        });
+    }
+
+    cancelMove() {
+        if (this.moveHandle) {
+            this.map.removeLayer(this.moveHandle);
+            this.moveHandle = null;
+        }
+        if (this.moveControl) {
+            this.map.removeControl(this.moveControl);
+            this.moveControl = null;
+        }
+    }
+
+    // Resolve to true when the user confirms in #confirm-modal
+    confirm(message, confirmLabel = 'Confirm') {
+        const modal = document.getElementById('confirm-modal');
+        const ok = document.getElementById('confirm-ok');
+        const cancel = document.getElementById('confirm-cancel');
+        document.getElementById('confirm-message').textContent = message;
+        ok.textContent = confirmLabel;
+        modal.classList.add('active');
+        cancel.focus();
+
+        return new Promise(resolve => {
+            const close = (result) => {
+                modal.classList.remove('active');
+                ok.removeEventListener('click', onOk);
+                cancel.removeEventListener('click', onCancel);
+                resolve(result);
+            };
+            const onOk = () => close(true);
+            const onCancel = () => close(false);
+            ok.addEventListener('click', onOk);
+            cancel.addEventListener('click', onCancel);
+        });
+    }
+
+    // Signed-in user recorded with every change
+    currentUser() {
+        return window.authManager ? window.authManager.getUser() : null;
+    }
+
+    showInModal(title, content) {
+        const { modal, detailsContainer } = this.app.modalElements;
+        modal.querySelector('.modal-header h3').textContent = title;
+        detailsContainer.innerHTML = '';
+        detailsContainer.appendChild(content);
+        modal.classList.add('active');
+        document.body.classList.add('modal-open');
+        const first = content.querySelector('input:not([readonly]), select');
+        if (first) first.focus();
+    }
+}
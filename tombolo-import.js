@@ -0,0 +1,331 @@
+/**
+ * Tombolos Web Map - Bulk Import
+ * Admin-only import of CSV or GeoJSON files: columns are mapped onto the tombolos schema, every row is
+ * validated and matched against the existing records, and the whole batch is previewed before it is
+ * applied or rejected.
+ */
+
+// Rough bounding box of Greece (mainland and islands)
+const GREECE_BOUNDS = { south: 34.5, north: 42.0, west: 19.0, east: 30.0 };
+
+// Common alternative column names, after normalization (lowercase, non-alphanumerics as '_')
+const IMPORT_COLUMN_ALIASES = {
+    name: 'name_en',
+    name_english: 'name_en',
+    name_greek: 'name_gr',
+    lat: 'latitude',
+    y: 'latitude',
+    lon: 'longitude',
+    lng: 'longitude',
+    long: 'longitude',
+    x: 'longitude',
+    prefecture: 'prefecture_en',
+    island: 'island_en',
+    type: 'tombolo_type',
+    category: 'tombolo_category',
+    length: 'length_m',
+    width: 'width_tombolo_m',
+    width_tombolo: 'width_tombolo_m',
+    width_continent: 'width_continent_m',
+    width_island: 'width_island_m',
+    height: 'height_m',
+    rcp26: 'sub_rcp26',
+    rcp2_6: 'sub_rcp26',
+    rcp85: 'sub_rcp85',
+    rcp8_5: 'sub_rcp85'
+};
+
+class TomboloImport {
+    constructor(app) {
+        this.app = app;
+        // Updates may leave fields blank; what new tombolos need is checked in buildPreview.
+        // Imported coordinates must lie within Greece.
+        const coordinateRanges = {
+            latitude: { min: GREECE_BOUNDS.south, max: GREECE_BOUNDS.north },
+            longitude: { min: GREECE_BOUNDS.west, max: GREECE_BOUNDS.east }
+        };
+        this.fields = TOMBOLO_FIELDS.concat(TOMBOLO_COORDINATE_FIELDS)
+            .map(field => ({ ...field, ...coordinateRanges[field.key], required: false }));
+        this.rows = [];
+        this.mapping = {};
+        this.existing = [];
+        this.preview = null;
+        this.isApplying = false;
+
+        this.modal = document.getElementById('import-modal');
+        this.fileInput = document.getElementById('import-file');
+        this.mappingContainer = document.getElementById('import-mapping');
+        this.previewContainer = document.getElementById('import-preview');
+        this.applyButton = document.getElementById('import-apply');
+
+        this.init();
+    }
+
+    init() {
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files[0]) this.loadFile(this.fileInput.files[0]);
+        });
+        this.applyButton.addEventListener('click', () => this.apply());
+        document.getElementById('import-reject').addEventListener('click', () => this.close());
+        document.getElementById('close-import').addEventListener('click', () => this.close());
+    }
+
+    isAllowed() {
+        return Boolean(this.app.editor && this.app.editor.can('importData'));
+    }
+
+    open() {
+        if (!this.isAllowed()) return;
+        this.reset();
+        this.modal.classList.add('active');
+        document.body.classList.add('modal-open');
+    }
+
+    close() {
+        if (this.isApplying) return;
+        this.reset();
+        this.modal.classList.remove('active');
+        document.body.classList.remove('modal-open');
+    }
+
+    reset() {
+        this.rows = [];
+        this.mapping = {};
+        this.preview = null;
+        this.fileInput.value = '';
+        this.mappingContainer.innerHTML = '';
+        this.mappingContainer.classList.add('hidden');
+        this.previewContainer.innerHTML = '';
+        this.applyButton.disabled = true;
+    }
+
+    async loadFile(file) {
+        this.previewContainer.innerHTML = '<p class="filter-hint">Reading file...</p>';
+        try {
+            const [text, existing] = await Promise.all([file.text(), this.app.dataSource.getAll()]);
+            this.rows = LocalDataSource.parseRows(text, file.name);
+            this.existing = existing;
+        } catch (error) {
+            console.error('❌ Error reading import file:', error);
+            this.rows = [];
+            this.previewContainer.innerHTML = `<p class="login-error">Could not read ${this.app.escapeHtml(file.name)}: ${this.app.escapeHtml(error.message || String(error))}</p>`;
+            return;
+        }
+
+        if (this.rows.length === 0) {
+            this.previewContainer.innerHTML = '<p class="login-error">The file contains no rows.</p>';
+            return;
+        }
+
+        console.log(`📥 Read ${this.rows.length} rows from ${file.name}`);
+        this.mapping = this.guessMapping(Object.keys(Object.assign({}, ...this.rows)));
+        this.renderMapping();
+        this.updatePreview();
+    }
+
+    // Source column -> schema field (or '' to ignore), matched by name and known aliases
+    guessMapping(columns) {
+        const keys = this.fields.map(field => field.key);
+        const mapping = {};
+        columns.forEach(column => {
+            const normalized = column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            if (keys.includes(normalized)) mapping[column] = normalized;
+            else mapping[column] = IMPORT_COLUMN_ALIASES[normalized] || '';
+        });
+        return mapping;
+    }
+
+    renderMapping() {
+        const options = this.fields.map(field => `<option value="${field.key}">${field.label} (${field.key})</option>`).join('');
+        this.mappingContainer.innerHTML = `
+            <h4>Column Mapping</h4>
+            <table class="import-table">
+                ${Object.keys(this.mapping).map(column => `
+                    <tr>
+                        <th>${this.app.escapeHtml(column)}</th>
+                        <td>
+                            <select class="filter-select" data-column="${this.app.escapeHtml(column)}">
+                                <option value="">Ignore</option>
+                                ${options}
+                            </select>
+                        </td>
+                    </tr>`).join('')}
+            </table>
+        `;
+        this.mappingContainer.querySelectorAll('select').forEach(select => {
+            select.value = this.mapping[select.dataset.column];
+            select.addEventListener('change', () => {
+                this.mapping[select.dataset.column] = select.value;
+                this.updatePreview();
+            });
+        });
+        this.mappingContainer.classList.remove('hidden');
+    }
+
+    // Sort every row into inserts, updates, unchanged rows and conflicts
+    buildPreview() {
+        const preview = { inserts: [], updates: [], unchanged: 0, conflicts: [] };
+        const byId = new Map(this.existing.map(record => [String(record.id), record]));
+        const byName = new Map();
+        this.existing.forEach(record => {
+            const key = this.nameKey(record);
+            if (!key) return;
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(record);
+        });
+        const seen = new Map();
+
+        this.rows.forEach((row, index) => {
+            const rowNumber = index + 1;
+            const values = {};
+            Object.keys(this.mapping).forEach(column => {
+                if (this.mapping[column]) values[this.mapping[column]] = row[column];
+            });
+
+            const { record, errors } = validateTomboloRecord(values, this.fields);
+            const reasons = Object.values(errors);
+            const label = record.name_en || (record.id !== undefined && record.id !== null ? `#${record.id}` : `Row ${rowNumber}`);
+
+            // Match by id first, then by name + island
+            const nameMatches = byName.get(this.nameKey(record)) || [];
+            let target = null;
+            if (record.id !== undefined && record.id !== null && !errors.id) {
+                target = byId.get(String(record.id)) || null;
+                const other = nameMatches.find(match => !target || String(match.id) !== String(target.id));
+                if (other) reasons.push(`Name and island match #${other.id} but the id is ${record.id}`);
+            } else if (nameMatches.length > 1) {
+                reasons.push(`Name and island match several tombolos (${nameMatches.map(m => `#${m.id}`).join(', ')})`);
+            } else {
+                target = nameMatches[0] || null;
+            }
+
+            if (!target) {
+                ['name_en', 'latitude', 'longitude'].forEach(key => {
+                    if (record[key] === undefined || record[key] === null) {
+                        reasons.push(`${this.fields.find(field => field.key === key).label} is required for new tombolos`);
+                    }
+                });
+            }
+
+            const key = target ? `id:${target.id}` : (record.id !== undefined && record.id !== null ? `id:${record.id}` : `name:${this.nameKey(record)}`);
+            if (seen.has(key)) reasons.push(`Same tombolo as row ${seen.get(key)}`);
+            else seen.set(key, rowNumber);
+
+            if (reasons.length > 0) {
+                preview.conflicts.push({ rowNumber, label, reasons: Array.from(new Set(reasons)) });
+            } else if (!target) {
+                preview.inserts.push({ rowNumber, record });
+            } else {
+                // Blank cells leave the existing value untouched
+                const filled = {};
+                Object.keys(record).forEach(field => { if (record[field] !== null) filled[field] = record[field]; });
+                const changes = tomboloChanges(target, { ...target, ...filled }).filter(change => change.key !== 'id');
+                if (changes.length === 0) preview.unchanged++;
+                else preview.updates.push({ rowNumber, target, changes });
+            }
+        });
+
+        return preview;
+    }
+
+    updatePreview() {
+        this.preview = this.buildPreview();
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const { inserts, updates, unchanged, conflicts } = this.preview;
+        const escape = value => this.app.escapeHtml(value === null || value === undefined || value === '' ? '-' : String(value));
+
+        this.previewContainer.innerHTML = `
+            <div class="import-summary">
+                <span class="import-count import-insert">${inserts.length} new</span>
+                <span class="import-count import-update">${updates.length} updated</span>
+                <span class="import-count">${unchanged} unchanged</span>
+                <span class="import-count import-conflict">${conflicts.length} conflicts</span>
+            </div>
+            ${conflicts.length > 0 ? `
+                <p class="login-error">The batch cannot be applied until every conflict is fixed in the file or the column mapping.</p>
+                <h4>Conflicts</h4>
+                <ul class="import-list">
+                    ${conflicts.map(conflict => `
+                        <li><strong>Row ${conflict.rowNumber} · ${escape(conflict.label)}</strong>
+                            <ul>${conflict.reasons.map(reason => `<li>${escape(reason)}</li>`).join('')}</ul>
+                        </li>`).join('')}
+                </ul>` : ''}
+            ${inserts.length > 0 ? `
+                <h4>New Tombolos</h4>
+                <ul class="import-list">
+                    ${inserts.map(insert => `
+                        <li>Row ${insert.rowNumber} · <strong>${escape(insert.record.name_en)}</strong>
+                            ${escape(insert.record.island_en)} (${insert.record.latitude}, ${insert.record.longitude})</li>`).join('')}
+                </ul>` : ''}
+            ${updates.length > 0 ? `
+                <h4>Updates</h4>
+                <ul class="import-list">
+                    ${updates.map(update => `
+                        <li>Row ${update.rowNumber} · <strong>#${update.target.id} ${escape(update.target.name_en)}</strong>
+                            <table class="history-diff">
+                                ${update.changes.map(change => `
+                                    <tr>
+                                        <th>${escape(change.label)}</th>
+                                        <td class="history-before">${escape(change.before)}</td>
+                                        <td class="history-after">${escape(change.after)}</td>
+                                    </tr>`).join('')}
+                            </table>
+                        </li>`).join('')}
+                </ul>` : ''}
+        `;
+        this.applyButton.disabled = conflicts.length > 0 || inserts.length + updates.length === 0;
+    }
+
+    // Write the previewed batch in one call: the data source stores every insert and update or none
+    async apply() {
+        if (!this.isAllowed() || !this.preview || this.preview.conflicts.length > 0) return;
+
+        const { inserts, updates } = this.preview;
+        const total = inserts.length + updates.length;
+        const confirmed = await this.app.editor.confirm(`Apply ${inserts.length} new and ${updates.length} updated tombolos?`, 'Apply');
+        if (!confirmed) return;
+
+        const user = this.app.editor.currentUser();
+        const records = inserts.map(insert => {
+            const record = { ...insert.record };
+            if (record.id === null || record.id === undefined) delete record.id;
+            return record;
+        });
+        const changes = updates.map(update => {
+            const values = {};
+            update.changes.forEach(change => { values[change.key] = change.after; });
+            return { id: update.target.id, changes: values };
+        });
+        this.isApplying = true;
+        this.applyButton.disabled = true;
+
+        try {
+            await this.app.dataSource.importTombolos(records, changes, user);
+        } catch (error) {
+            // Nothing was written: keep the file, mapping and preview so the batch can be applied again
+            console.error('❌ Import failed:', error);
+            const previous = this.previewContainer.querySelector('.import-apply-error');
+            if (previous) previous.remove();
+            const message = document.createElement('p');
+            message.className = 'login-error import-apply-error';
+            message.textContent = `Import failed, none of the ${total} changes were applied: ${error.message || error}`;
+            this.previewContainer.prepend(message);
+            this.applyButton.disabled = false;
+            return;
+        } finally {
+            this.isApplying = false;
+        }
+
+        this.close();
+        await this.app.refreshAfterEdit();
+    }
+
+    // Accent- and case-insensitive name + island key used to match rows without an id
+    nameKey(record) {
+        if (!record.name_en) return '';
+        return `${normalizeSearchText(record.name_en)}|${normalizeSearchText(record.island_en)}`;
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Tombolos Web Map - URL State
+ * Encodes the active filters, map view, basemap and open tombolo in the query string so any
+ * view of the map can be shared as a link and restored from it.
+ */
+
+// Filter keys mapped to their (shorter) query string parameter names
+const URL_FILTER_PARAMS = {
+    prefecture: 'prefecture',
+    island: 'island',
+    type: 'type',
+    category: 'category',
+    submerged: 'submerged',
+    subRcp26: 'rcp26',
+    subRcp85: 'rcp85'
+};
+
+// Parse the current (or given) query string into { filters, view, basemap, tomboloId }
+function readUrlState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const filters = {};
+
+    Object.keys(URL_FILTER_PARAMS).forEach(key => {
+        const values = params.getAll(URL_FILTER_PARAMS[key]).filter(Boolean);
+        if (values.length > 0) filters[key] = values;
+    });
+
+    // Ranges are written as `column=min,max` with either side left empty when open
+    TOMBOLO_RANGE_COLUMNS.forEach(column => {
+        const param = params.get(column);
+        if (!param) return;
+        const [min, max] = param.split(',').map(part => (part.trim() === '' ? null : Number(part)));
+        const range = {
+            min: Number.isFinite(min) ? min : null,
+            max: Number.isFinite(max) ? max : null
+        };
+        if (range.min !== null || range.max !== null) filters[column] = range;
+    });
+
+    let view = null;
+    const mapParam = params.get('map');
+    if (mapParam) {
+        const [lat, lng, zoom] = mapParam.split(',').map(Number);
+        if ([lat, lng, zoom].every(Number.isFinite)) view = { lat, lng, zoom };
+    }
+
+    return {
+        filters,
+        view,
+        basemap: params.get('basemap') || null,
+        tomboloId: params.get('tombolo') || null
+    };
+}
+
+// Build the query string (with leading '?', or '' when empty) for a state
+function buildUrlState(state) {
+    const params = new URLSearchParams();
+
+    Object.keys(URL_FILTER_PARAMS).forEach(key => {
+        filterValues(state.filters && state.filters[key]).forEach(value => params.append(URL_FILTER_PARAMS[key], value));
+    });
+
+    TOMBOLO_RANGE_COLUMNS.forEach(column => {
+        const range = state.filters && state.filters[column];
+        if (!range) return;
+        params.set(column, `${range.min === null ? '' : range.min},${range.max === null ? '' : range.max}`);
+    });
+
+    if (state.view) {
+        params.set('map', `${state.view.lat.toFixed(5)},${state.view.lng.toFixed(5)},${state.view.zoom}`);
+    }
+    if (state.basemap) params.set('basemap', state.basemap);
+    if (state.tomboloId !== null && state.tomboloId !== undefined) params.set('tombolo', state.tomboloId);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}